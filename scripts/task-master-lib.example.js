@@ -0,0 +1,3478 @@
+/**
+ * Claude Task Master library for {{PROJECT_NAME}} Project
+ * Task storage, workflows and git integration with no CLI side effects:
+ * nothing here reads process.argv or exits, failures throw TaskMasterError.
+ *
+ *   const { ClaudeTaskMaster } = require('./task-master-lib.example');
+ *   const taskMaster = new ClaudeTaskMaster({ cwd, logger: { log() {}, error() {} } });
+ *   taskMaster.on('task:updated', ({ task, previous }) => { ... });
+ *
+ * task-master.example.js requires this file by name: copy both together, and
+ * update that require if you rename them.
+ *
+ * This is a template - replace {{VARIABLES}} with your project-specific values
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { execSync, execFileSync, spawn } = require('child_process');
+const crypto = require('crypto');
+const { EventEmitter } = require('events');
+const os = require('os');
+
+const DEFAULT_RETRY_DELAY_MS = 1000;
+// How long a timed-out step gets to exit on SIGTERM before it is SIGKILLed
+const STEP_KILL_GRACE_MS = 1000;
+
+// Advisory file locks: how long to wait, how often to retry, and when a
+// lock left behind by a crashed process may be broken
+const LOCK_TIMEOUT_MS = 10000;
+const LOCK_RETRY_MS = 50;
+const LOCK_STALE_MS = 30000;
+
+const INDEX_VERSION = 2;
+
+// Task fields kept in index.json: what listing filters, sorts and prints.
+// Time logs, history, notes and checklists are read from the task files.
+const INDEX_FIELDS = [
+  'id', 'type', 'title', 'description', 'status', 'priority', 'estimate', 'due',
+  'dependsOn', 'parent', 'created', 'updated', 'branch', 'source'
+];
+
+// Every field a stored task can have: those createTask writes, then those
+// later commands add (source is optional at creation)
+const TASK_FIELDS = [
+  'id', 'type', 'title', 'description', 'status', 'priority', 'estimate', 'due',
+  'dependsOn', 'parent', 'fields', 'checklist', 'notes', 'created', 'updated',
+  'workflow', 'projectName', 'source', 'branch', 'statusHistory', 'timeLog'
+];
+
+// Variables every workflow command can use besides captured step output
+// (see buildRunContext); nested ones too, e.g. ${fields.severity}
+const RUN_CONTEXT_VARIABLES = ['taskId', 'taskSlug', ...TASK_FIELDS];
+
+// Shell words `workflow lint` never looks up on PATH
+const SHELL_BUILTINS = [
+  '.', ':', '[', '[[', '{', '}', '!', 'cd', 'echo', 'printf', 'test', 'true', 'false', 'exit',
+  'export', 'set', 'unset', 'source', 'eval', 'exec', 'read', 'shift', 'return', 'local', 'wait',
+  'trap', 'pwd', 'type', 'command', 'time', 'if', 'then', 'else', 'elif', 'fi', 'for', 'while',
+  'until', 'do', 'done', 'case', 'esac'
+];
+
+// Always runs alongside the configured pre-commit checks; with --staged the
+// guard only validates the staged files, otherwise the whole project
+const TDD_FOUNDATION_CHECK = {
+  name: 'TDD Foundation',
+  command: 'node scripts/tdd-guard-enhanced.js validate ${stagedFiles}'
+};
+
+// First line of every git hook written by `hooks install`, so reinstalls can
+// tell our hooks from hand-written ones
+const HOOK_MARKER = '# Installed by task-master hooks install';
+
+// Used when .claude-task-master.json has no `lifecycle` section
+const DEFAULT_LIFECYCLE = {
+  initial: 'pending',
+  transitions: {
+    pending: ['in_progress', 'blocked', 'cancelled'],
+    in_progress: ['review', 'completed', 'blocked', 'cancelled'],
+    review: ['in_progress', 'completed', 'cancelled'],
+    blocked: ['pending', 'in_progress', 'cancelled'],
+    completed: [],
+    cancelled: []
+  }
+};
+
+const CLOSED_STATUSES = ['completed', 'cancelled'];
+
+// Bookkeeping files that live next to the task files in .claude/tasks
+const RESERVED_TASK_FILES = ['timers.json', 'index.json'];
+
+// Highest first; override with `priorities` in .claude-task-master.json
+const DEFAULT_PRIORITIES = ['critical', 'high', 'medium', 'low'];
+
+// Matches task IDs such as FEAT-1A2B3C4D inside branch names
+const TASK_ID_PATTERN = /(?:^|\/)([A-Z][A-Z0-9]*-[0-9A-F]{4,})(?=-|$)/;
+
+// TODO and FIXME right after a comment token (//, #, /*, <!--, -- or a
+// block comment's leading *), optionally tagged with a task type
+const TODO_PATTERN = /(?:^|[\s;])(?:\/\/+|#+|\/\*+|<!--|--|\*)\s*(TODO|FIXME)(?:\(([\w-]+)\))?:\s*(.+?)\s*(?:\*\/|-->)?\s*$/;
+const CHECKLIST_PATTERN = /^\s*[-*+]\s+\[ \]\s+(.+?)\s*$/;
+
+// tool_input fields of Claude Code hook payloads that name files or directories
+const HOOK_PATH_FIELDS = ['file_path', 'notebook_path', 'path'];
+const HOOK_COMMAND_MAX_LENGTH = 200;
+
+// Directories never scanned for TODOs, even when git lists files in them
+const IMPORT_SKIP_DIRS = ['.git', '.claude', 'node_modules', 'dist', 'build', 'coverage'];
+
+/**
+ * Base class for every error the library throws. `code` is stable and safe
+ * to branch on; the message is for humans.
+ */
+class TaskMasterError extends Error {
+  constructor(message, code = 'TASK_MASTER_ERROR') {
+    super(message);
+    this.name = this.constructor.name;
+    this.code = code;
+  }
+}
+
+// Missing or invalid .claude-task-master.json; `errors` holds every problem found
+class ConfigError extends TaskMasterError {
+  constructor(message, { file = null, errors = [] } = {}) {
+    super(message, 'CONFIG_INVALID');
+    this.file = file;
+    this.errors = errors;
+  }
+}
+
+class ValidationError extends TaskMasterError {
+  constructor(message) {
+    super(message, 'VALIDATION_FAILED');
+  }
+}
+
+class NotFoundError extends TaskMasterError {
+  constructor(message) {
+    super(message, 'NOT_FOUND');
+  }
+}
+
+// The task, run or step is not in a state that allows the operation
+class TransitionError extends TaskMasterError {
+  constructor(message) {
+    super(message, 'INVALID_TRANSITION');
+  }
+}
+
+class LockTimeoutError extends TaskMasterError {
+  constructor(message) {
+    super(message, 'LOCK_TIMEOUT');
+  }
+}
+
+function sleepSync(ms) {
+  Atomics.wait(new Int32Array(new SharedArrayBuffer(4)), 0, 0, ms);
+}
+
+/**
+ * Writes JSON via a temp file and rename, so readers never see a partially
+ * written file.
+ */
+function writeJsonAtomic(file, data) {
+  const tempFile = `${file}.${process.pid}.${crypto.randomBytes(4).toString('hex')}.tmp`;
+  fs.writeFileSync(tempFile, JSON.stringify(data, null, 2));
+  fs.renameSync(tempFile, file);
+}
+
+// ${name} placeholders in a command template, skipping escaped \${...}
+function findPlaceholders(template) {
+  return [...template.matchAll(/(?<!\\)\$\{([\w.]+)\}/g)].map(match => match[1]);
+}
+
+/**
+ * Programs a shell command line starts: the first word of each segment
+ * between ;, &, && , || and |, after any VAR=value prefixes. Quote-aware but
+ * not a full parser; good enough for lint.
+ */
+function listCommandPrograms(command) {
+  const programs = [];
+  let segment = '';
+  let quote = null;
+
+  const flush = () => {
+    const words = segment.trim().split(/\s+/).filter(word => word && !/^\w+=/.test(word));
+    if (words[0]) {
+      programs.push(words[0].replace(/^[('"]+|['")]+$/g, ''));
+    }
+    segment = '';
+  };
+
+  for (let i = 0; i < command.length; i++) {
+    const char = command[i];
+    if (quote) {
+      quote = char === quote ? null : quote;
+    } else if (char === "'" || char === '"') {
+      quote = char;
+    } else if (char === ';' || char === '|' || (char === '&' && command[i - 1] !== '>' && command[i + 1] !== '>')) {
+      flush();
+      continue;
+    }
+    segment += char;
+  }
+  flush();
+  return programs;
+}
+
+// Words with no shell metacharacters: safe as-is in any quoting context
+const PLAIN_SHELL_WORD = /^[\w@%+=:,./-]+$/;
+
+/**
+ * Quotes a value for POSIX sh. Plain words (paths, IDs, slugs) are left as-is
+ * so interpolated commands stay readable.
+ */
+function shellQuote(value) {
+  const text = String(value);
+  return PLAIN_SHELL_WORD.test(text) ? text : `'${text.replace(/'/g, `'\\''`)}'`;
+}
+
+function localDateString(date = new Date()) {
+  const pad = n => String(n).padStart(2, '0');
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+// Date parses 2024-02-30 as March 1st, so a real date must survive the round trip
+function isCalendarDate(text) {
+  const date = new Date(text);
+  return !Number.isNaN(date.getTime()) && date.toISOString().slice(0, 10) === text;
+}
+
+/**
+ * Parses a date filter: an ISO date (2024-05-01) or a relative span back
+ * from now such as 12h, 3d, 2w or 1m.
+ */
+function parseDateFilter(value, { endOfDay = false } = {}) {
+  const relative = /^(\d+)([hdwm])$/.exec(value);
+  if (relative) {
+    const hours = { h: 1, d: 24, w: 24 * 7, m: 24 * 30 }[relative[2]];
+    return new Date(Date.now() - Number(relative[1]) * hours * 60 * 60 * 1000);
+  }
+
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) {
+    throw new ValidationError(`Invalid date "${value}" (use YYYY-MM-DD or a span like 3d, 2w)`);
+  }
+
+  // A bare date used as an upper bound includes the whole day
+  if (endOfDay && /^\d{4}-\d{2}-\d{2}$/.test(value)) {
+    return new Date(date.getTime() + 24 * 60 * 60 * 1000 - 1);
+  }
+  return date;
+}
+
+/**
+ * Evaluates a workflow `when` clause against the workflow context.
+ * Supports dotted paths, string/number/boolean/null literals, comparisons
+ * (== != < <= > >=), ! && || and parentheses. Nothing is ever eval'd.
+ */
+function evaluateExpression(expression, context) {
+  const tokens = tokenizeExpression(expression);
+  let pos = 0;
+
+  const fail = message => {
+    throw new ValidationError(`Invalid when expression "${expression}": ${message}`);
+  };
+  const peek = () => tokens[pos];
+  const accept = value => {
+    if (peek() && peek().value === value && peek().type !== 'string') {
+      pos++;
+      return true;
+    }
+    return false;
+  };
+
+  const parsePrimary = () => {
+    const token = tokens[pos++];
+    if (!token) {
+      fail('unexpected end of expression');
+    }
+    if (token.value === '(' && token.type === 'punct') {
+      const value = parseOr();
+      if (!accept(')')) {
+        fail('missing closing parenthesis');
+      }
+      return value;
+    }
+    if (token.type === 'string' || token.type === 'number') {
+      return token.value;
+    }
+    if (token.type === 'ident') {
+      const keywords = { true: true, false: false, null: null };
+      if (token.value in keywords) {
+        return keywords[token.value];
+      }
+      return token.value.split('.').reduce(
+        (value, part) => (value !== undefined && value !== null ? value[part] : undefined),
+        context
+      );
+    }
+    return fail(`unexpected "${token.value}"`);
+  };
+
+  const parseComparison = () => {
+    const left = parsePrimary();
+    const token = peek();
+    if (!token || token.type !== 'op') {
+      return left;
+    }
+    pos++;
+    const right = parsePrimary();
+    switch (token.value) {
+      case '==': return left === right;
+      case '!=': return left !== right;
+      case '<': return left < right;
+      case '<=': return left <= right;
+      case '>': return left > right;
+      case '>=': return left >= right;
+      default: return fail(`unknown operator "${token.value}"`);
+    }
+  };
+
+  const parseNot = () => (accept('!') ? !parseNot() : parseComparison());
+
+  const parseAnd = () => {
+    let value = parseNot();
+    while (accept('&&')) {
+      const right = parseNot();
+      value = Boolean(value) && Boolean(right);
+    }
+    return value;
+  };
+
+  const parseOr = () => {
+    let value = parseAnd();
+    while (accept('||')) {
+      const right = parseAnd();
+      value = Boolean(value) || Boolean(right);
+    }
+    return value;
+  };
+
+  const result = parseOr();
+  if (pos < tokens.length) {
+    fail(`unexpected "${tokens[pos].value}"`);
+  }
+  return Boolean(result);
+}
+
+function tokenizeExpression(expression) {
+  const tokens = [];
+  // Sticky regex: each exec must match exactly where the previous token ended
+  const pattern = /\s*(?:(==|!=|<=|>=|<|>)|(&&|\|\||!|\(|\))|'([^']*)'|"([^"]*)"|(-?\d+(?:\.\d+)?)|([A-Za-z_][\w-]*(?:\.[A-Za-z_][\w-]*)*))/y;
+  let match;
+
+  while (pattern.lastIndex < expression.length) {
+    const start = pattern.lastIndex;
+    match = pattern.exec(expression);
+    if (!match) {
+      if (expression.slice(start).trim() === '') {
+        break;
+      }
+      throw new ValidationError(`Invalid when expression "${expression}": unexpected character at ${start}`);
+    }
+    const [, op, punct, single, double, number, ident] = match;
+    if (op) {
+      tokens.push({ type: 'op', value: op });
+    } else if (punct) {
+      tokens.push({ type: 'punct', value: punct });
+    } else if (single !== undefined || double !== undefined) {
+      tokens.push({ type: 'string', value: single !== undefined ? single : double });
+    } else if (number) {
+      tokens.push({ type: 'number', value: Number(number) });
+    } else {
+      tokens.push({ type: 'ident', value: ident });
+    }
+  }
+
+  return tokens;
+}
+
+const STEP_SCHEMA = {
+  type: 'object',
+  required: ['name'],
+  additionalProperties: false,
+  properties: {
+    name: { type: 'string', minLength: 1 },
+    id: { type: 'string', pattern: '^[A-Za-z_][\\w-]*$' },
+    command: { type: 'string', minLength: 1 },
+    run: { type: 'array', minItems: 1, items: { type: 'string' } },
+    rawInterpolation: { type: 'boolean' },
+    manual: { type: 'boolean' },
+    expectFailure: { type: 'boolean' },
+    timeoutMs: { type: 'integer', minimum: 1 },
+    retries: { type: 'integer', minimum: 0 },
+    retryDelayMs: { type: 'integer', minimum: 0 },
+    continueOnError: { type: 'boolean' },
+    captureAs: { type: 'string', pattern: '^[A-Za-z_]\\w*$' },
+    captureFormat: { enum: ['text', 'json'] },
+    when: { type: 'string', minLength: 1 }
+  },
+  check(step, at) {
+    const errors = [];
+    const kinds = ['command', 'run', 'manual'].filter(kind => step[kind]);
+    if (kinds.length === 0) {
+      errors.push({ path: at, message: 'step needs one of "command", "run" or "manual": true' });
+    }
+    if (kinds.length > 1) {
+      errors.push({ path: at, message: `step cannot combine ${kinds.map(k => `"${k}"`).join(' and ')}` });
+    }
+    if (step.captureAs && step.manual) {
+      errors.push({ path: `${at}.captureAs`, message: 'only command steps can capture output' });
+    }
+    if (step.rawInterpolation && !step.command) {
+      errors.push({ path: `${at}.rawInterpolation`, message: 'only applies to "command" steps' });
+    }
+    if (typeof step.when === 'string') {
+      try {
+        evaluateExpression(step.when, {});
+      } catch (error) {
+        errors.push({ path: `${at}.when`, message: error.message });
+      }
+    }
+    return errors;
+  }
+};
+
+// Per-category task template: extra fields filled in on creation and an
+// acceptance checklist copied onto every new task
+const TEMPLATE_SCHEMA = {
+  type: 'object',
+  additionalProperties: false,
+  properties: {
+    fields: {
+      type: 'object',
+      additionalProperties: {
+        type: 'object',
+        additionalProperties: false,
+        properties: {
+          description: { type: 'string' },
+          required: { type: 'boolean' },
+          enum: { type: 'array', minItems: 1, items: { type: 'string', minLength: 1 } },
+          default: { type: 'string' }
+        },
+        check(field, at) {
+          return Array.isArray(field.enum) && typeof field.default === 'string' && !field.enum.includes(field.default)
+            ? [{ path: `${at}.default`, message: `must be one of ${field.enum.join(', ')}` }]
+            : [];
+        }
+      }
+    },
+    checklist: {
+      type: 'array',
+      items: {
+        // "text" is shorthand for { "text": "text", "required": true }
+        check(item, at) {
+          return typeof item === 'string'
+            ? validateSchema(item, { type: 'string', minLength: 1 }, at)
+            : validateSchema(item, {
+              type: 'object',
+              required: ['text'],
+              additionalProperties: false,
+              properties: {
+                text: { type: 'string', minLength: 1 },
+                required: { type: 'boolean' }
+              }
+            }, at);
+        }
+      }
+    }
+  }
+};
+
+// Expands in place to the steps of a named entry in workflowFragments
+const INCLUDE_SCHEMA = {
+  type: 'object',
+  required: ['include'],
+  additionalProperties: false,
+  properties: {
+    include: { type: 'string', minLength: 1 }
+  }
+};
+
+const STEP_LIST_SCHEMA = {
+  type: 'array',
+  minItems: 1,
+  items: {
+    type: 'object',
+    check(entry, at) {
+      return validateSchema(entry, 'include' in entry ? INCLUDE_SCHEMA : STEP_SCHEMA, at);
+    }
+  }
+};
+
+// Fields patched onto an inherited step; the merged step is checked again
+const STEP_OVERRIDE_SCHEMA = {
+  type: 'object',
+  additionalProperties: false,
+  properties: STEP_SCHEMA.properties
+};
+
+/**
+ * Schema for .claude-task-master.json. Keys starting with "$" (such as
+ * "$comment") are allowed anywhere for documentation.
+ */
+const CONFIG_SCHEMA = {
+  type: 'object',
+  required: ['taskCategories', 'automations'],
+  properties: {
+    taskCategories: {
+      type: 'object',
+      minProperties: 1,
+      additionalProperties: {
+        type: 'object',
+        required: ['prefix'],
+        properties: {
+          prefix: { type: 'string', pattern: '^[A-Z][A-Z0-9]*$' },
+          description: { type: 'string' },
+          template: TEMPLATE_SCHEMA
+        }
+      }
+    },
+    workflowFragments: {
+      type: 'object',
+      additionalProperties: STEP_LIST_SCHEMA
+    },
+    workflows: {
+      type: 'object',
+      additionalProperties: {
+        type: 'object',
+        properties: {
+          extends: { type: 'string', minLength: 1 },
+          steps: STEP_LIST_SCHEMA,
+          overrides: { type: 'object', additionalProperties: STEP_OVERRIDE_SCHEMA },
+          prepend: STEP_LIST_SCHEMA,
+          append: STEP_LIST_SCHEMA
+        },
+        check(workflow, at) {
+          if ('steps' in workflow && 'extends' in workflow) {
+            // "steps" would replace every inherited step, leaving "extends" with no effect
+            return [{ path: `${at}.steps`, message: 'cannot be combined with "extends"; use "overrides", "prepend" or "append"' }];
+          }
+          return 'steps' in workflow || 'extends' in workflow
+            ? []
+            : [{ path: at, message: 'needs "steps" or "extends"' }];
+        }
+      }
+    },
+    automations: {
+      type: 'object',
+      required: ['preCommit'],
+      properties: {
+        preCommit: {
+          type: 'object',
+          required: ['enabled', 'checks'],
+          properties: {
+            enabled: { type: 'boolean' },
+            checks: {
+              type: 'array',
+              items: {
+                type: 'object',
+                required: ['name', 'command'],
+                properties: {
+                  name: { type: 'string', minLength: 1 },
+                  command: { type: 'string', minLength: 1 },
+                  files: { type: 'string', minLength: 1 },
+                  dependsOn: { type: 'array', items: { type: 'string', minLength: 1 } }
+                },
+                check(check, at) {
+                  if (typeof check.files !== 'string') {
+                    return [];
+                  }
+                  try {
+                    new RegExp(check.files);
+                    return [];
+                  } catch (error) {
+                    return [{ path: `${at}.files`, message: `invalid regular expression: ${error.message}` }];
+                  }
+                }
+              }
+            }
+          },
+          check(preCommit, at) {
+            // dependsOn must name other checks and must not loop
+            const checks = Array.isArray(preCommit.checks) ? preCommit.checks : [];
+            const byName = new Map([TDD_FOUNDATION_CHECK, ...checks].map(check => [check.name, check]));
+            const errors = [];
+            checks.forEach((check, i) => {
+              (Array.isArray(check.dependsOn) ? check.dependsOn : []).forEach((name, j) => {
+                if (!byName.has(name)) {
+                  errors.push({ path: `${at}.checks[${i}].dependsOn[${j}]`, message: `no check named "${name}"` });
+                }
+              });
+            });
+            const visit = (name, trail) => {
+              if (trail.includes(name)) {
+                return [...trail, name];
+              }
+              const deps = (byName.get(name) || {}).dependsOn;
+              for (const dep of Array.isArray(deps) ? deps : []) {
+                const cycle = visit(dep, [...trail, name]);
+                if (cycle) {
+                  return cycle;
+                }
+              }
+              return null;
+            };
+            const cycle = checks.map(check => visit(check.name, [])).find(Boolean);
+            if (cycle) {
+              errors.push({ path: `${at}.checks`, message: `dependsOn cycle: ${cycle.join(' → ')}` });
+            }
+            return errors;
+          }
+        }
+      }
+    },
+    syncToOppieDevkit: { type: 'boolean' },
+    lifecycle: {
+      type: 'object',
+      required: ['initial', 'transitions'],
+      properties: {
+        initial: { type: 'string' },
+        transitions: {
+          type: 'object',
+          additionalProperties: { type: 'array', items: { type: 'string' } }
+        }
+      },
+      check(lifecycle, at) {
+        const errors = [];
+        const transitions = describeType(lifecycle.transitions) === 'object' ? lifecycle.transitions : {};
+        if (lifecycle.initial && !(lifecycle.initial in transitions)) {
+          errors.push({ path: `${at}.initial`, message: `"${lifecycle.initial}" is not a state in transitions` });
+        }
+        if (!('completed' in transitions)) {
+          errors.push({ path: `${at}.transitions`, message: 'must define a "completed" state' });
+        }
+        Object.entries(transitions).forEach(([state, targets]) => {
+          (Array.isArray(targets) ? targets : []).forEach((target, i) => {
+            if (!(target in transitions)) {
+              errors.push({ path: `${at}.transitions.${state}[${i}]`, message: `unknown state "${target}"` });
+            }
+          });
+        });
+        return errors;
+      }
+    },
+    priorities: { type: 'array', minItems: 1, items: { type: 'string', minLength: 1 } },
+    git: {
+      type: 'object',
+      properties: {
+        branchPrefix: { type: 'object', additionalProperties: { type: 'string', minLength: 1 } },
+        trailer: { type: 'string', pattern: '^[A-Za-z][\\w-]*$' }
+      }
+    },
+    import: {
+      type: 'object',
+      properties: {
+        todoType: { type: 'string' },
+        fixmeType: { type: 'string' },
+        checklistType: { type: 'string' }
+      }
+    }
+  },
+  check(config) {
+    // Cross-references that a per-field schema can't express
+    const errors = [];
+    const asObject = value => (describeType(value) === 'object' ? value : {});
+    const categories = asObject(config.taskCategories);
+    Object.keys(asObject(config.workflows)).forEach(type => {
+      if (!type.startsWith('$') && !(type in categories)) {
+        errors.push({ path: `workflows.${type}`, message: `no task category "${type}" in taskCategories` });
+      }
+    });
+    Object.entries(asObject(config.import)).forEach(([key, type]) => {
+      if (typeof type === 'string' && !(type in categories)) {
+        errors.push({ path: `import.${key}`, message: `no task category "${type}" in taskCategories` });
+      }
+    });
+    return errors;
+  }
+};
+
+/**
+ * Expands `include` entries and `extends` into plain step lists, so tasks
+ * only ever see resolved workflows. Expects a schema-valid config without
+ * comment keys. Errors use validateSchema's shape.
+ */
+function resolveWorkflows(config) {
+  const fragments = config.workflowFragments || {};
+  const workflows = config.workflows || {};
+  const errors = [];
+  const resolved = {};
+
+  const expandSteps = (steps, at, trail) => steps.flatMap((entry, i) => {
+    if (!('include' in entry)) {
+      return [entry];
+    }
+    const name = entry.include;
+    if (!(name in fragments)) {
+      errors.push({ path: `${at}[${i}].include`, message: `unknown fragment "${name}"` });
+      return [];
+    }
+    if (trail.includes(name)) {
+      errors.push({ path: `${at}[${i}].include`, message: `include cycle: ${[...trail, name].join(' → ')}` });
+      return [];
+    }
+    return expandSteps(fragments[name], `workflowFragments.${name}`, [...trail, name]);
+  });
+
+  const resolveWorkflow = (type, trail) => {
+    if (resolved[type]) {
+      return resolved[type];
+    }
+    const workflow = workflows[type];
+    const at = `workflows.${type}`;
+    let steps = [];
+
+    if (workflow.extends) {
+      const base = workflow.extends;
+      if (!(base in workflows)) {
+        errors.push({ path: `${at}.extends`, message: `unknown workflow "${base}"` });
+      } else if (trail.includes(base)) {
+        errors.push({ path: `${at}.extends`, message: `extends cycle: ${[...trail, base].join(' → ')}` });
+      } else {
+        steps = resolveWorkflow(base, [...trail, base]).steps;
+      }
+    }
+
+    if (workflow.steps) {
+      steps = expandSteps(workflow.steps, `${at}.steps`, []);
+    }
+
+    // Overrides match inherited steps by id first, then by name
+    Object.entries(workflow.overrides || {}).forEach(([key, fields]) => {
+      let index = steps.findIndex(step => step.id === key);
+      if (index === -1) {
+        index = steps.findIndex(step => step.name === key);
+      }
+      if (index === -1) {
+        errors.push({ path: `${at}.overrides.${key}`, message: `no step with id or name "${key}" to override` });
+        return;
+      }
+      const merged = { ...steps[index], ...fields };
+      errors.push(...validateSchema(merged, STEP_SCHEMA, `${at}.overrides.${key}`));
+      steps = steps.map((step, i) => (i === index ? merged : step));
+    });
+
+    steps = [
+      ...expandSteps(workflow.prepend || [], `${at}.prepend`, []),
+      ...steps,
+      ...expandSteps(workflow.append || [], `${at}.append`, [])
+    ];
+
+    resolved[type] = { steps };
+    return resolved[type];
+  };
+
+  // Expanding every fragment on its own reports problems in unused ones too
+  Object.keys(fragments).forEach(name => expandSteps([{ include: name }], `workflowFragments.${name}`, []));
+  Object.keys(workflows).forEach(type => resolveWorkflow(type, [type]));
+
+  // A broken fragment is reached once per include; report it once
+  const seen = new Set();
+  const unique = errors.filter(error => {
+    const key = `${error.path}\0${error.message}`;
+    return !seen.has(key) && seen.add(key);
+  });
+
+  return { workflows: resolved, errors: unique };
+}
+
+/**
+ * Validates a parsed config and resolves its workflows. Returns the config
+ * as the class uses it (comment keys stripped, workflows expanded).
+ */
+function prepareConfig(raw) {
+  const errors = validateSchema(raw, CONFIG_SCHEMA);
+  const config = stripConfigComments(raw);
+
+  // References only resolve once every fragment and workflow is well-formed
+  if (errors.length === 0 && config.workflows) {
+    const resolution = resolveWorkflows(config);
+    errors.push(...resolution.errors);
+    config.workflows = resolution.workflows;
+  }
+  return { config, errors };
+}
+
+function describeType(value) {
+  if (Array.isArray(value)) {
+    return 'array';
+  }
+  if (value === null) {
+    return 'null';
+  }
+  return Number.isInteger(value) ? 'integer' : typeof value;
+}
+
+function validateSchema(value, schema, at = '') {
+  const errors = [];
+  const actual = describeType(value);
+  const label = at || '(root)';
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    return [{ path: label, message: `must be one of ${schema.enum.map(v => JSON.stringify(v)).join(', ')}` }];
+  }
+
+  if (schema.type) {
+    const matches = schema.type === actual ||
+      (schema.type === 'number' && actual === 'integer');
+    if (!matches) {
+      return [{ path: label, message: `must be ${schema.type === 'integer' ? 'an' : 'a'} ${schema.type}, got ${actual}` }];
+    }
+  }
+
+  if (actual === 'string') {
+    if (schema.minLength && value.length < schema.minLength) {
+      errors.push({ path: label, message: 'must not be empty' });
+    }
+    if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+      errors.push({ path: label, message: `must match ${schema.pattern}` });
+    }
+  }
+
+  if ((actual === 'integer' || actual === 'number') && schema.minimum !== undefined && value < schema.minimum) {
+    errors.push({ path: label, message: `must be >= ${schema.minimum}` });
+  }
+
+  if (actual === 'array') {
+    if (schema.minItems && value.length < schema.minItems) {
+      errors.push({ path: label, message: `must have at least ${schema.minItems} item(s)` });
+    }
+    if (schema.items) {
+      value.forEach((item, i) => errors.push(...validateSchema(item, schema.items, `${at}[${i}]`)));
+    }
+  }
+
+  if (actual === 'object') {
+    const keys = Object.keys(value).filter(key => !key.startsWith('$'));
+    const join = key => (at ? `${at}.${key}` : key);
+
+    (schema.required || []).forEach(key => {
+      if (!(key in value)) {
+        errors.push({ path: label, message: `missing required field "${key}"` });
+      }
+    });
+    if (schema.minProperties && keys.length < schema.minProperties) {
+      errors.push({ path: label, message: `must have at least ${schema.minProperties} entr${schema.minProperties === 1 ? 'y' : 'ies'}` });
+    }
+
+    keys.forEach(key => {
+      const propertySchema = (schema.properties || {})[key];
+      if (propertySchema) {
+        errors.push(...validateSchema(value[key], propertySchema, join(key)));
+      } else if (schema.additionalProperties === false) {
+        errors.push({ path: join(key), message: 'unknown field' });
+      } else if (schema.additionalProperties) {
+        errors.push(...validateSchema(value[key], schema.additionalProperties, join(key)));
+      }
+    });
+  }
+
+  if (schema.check) {
+    errors.push(...schema.check(value, at));
+  }
+
+  return errors;
+}
+
+/**
+ * Maps every value in a JSON document to its line and column, keyed by the
+ * same paths validateSchema reports (e.g. `workflows.feature.steps[0].command`).
+ * Throws an error with `line`/`column` set when the text is not valid JSON.
+ */
+function locateJsonPaths(text) {
+  const locations = {};
+  let pos = 0;
+
+  const locate = offset => {
+    const before = text.slice(0, offset).split('\n');
+    return { line: before.length, column: before[before.length - 1].length + 1 };
+  };
+  const fail = () => {
+    const found = pos < text.length ? JSON.stringify(text[pos]) : 'end of input';
+    const error = new Error(`invalid JSON: unexpected ${found}`);
+    Object.assign(error, locate(pos));
+    throw error;
+  };
+  const skipWhitespace = () => {
+    while (pos < text.length && /\s/.test(text[pos])) {
+      pos++;
+    }
+  };
+  const expect = char => {
+    skipWhitespace();
+    if (text[pos] !== char) {
+      fail();
+    }
+    pos++;
+  };
+  const readString = () => {
+    if (text[pos] !== '"') {
+      fail();
+    }
+    const start = pos++;
+    while (text[pos] !== '"') {
+      if (pos >= text.length || text[pos] === '\n') {
+        fail();
+      }
+      pos += text[pos] === '\\' ? 2 : 1;
+    }
+    pos++;
+    try {
+      return JSON.parse(text.slice(start, pos));
+    } catch (error) {
+      pos = start;
+      return fail();
+    }
+  };
+  const readValue = at => {
+    skipWhitespace();
+    locations[at || '(root)'] = locate(pos);
+    const open = text[pos];
+
+    if (open === '{' || open === '[') {
+      const close = open === '{' ? '}' : ']';
+      let index = 0;
+      pos++;
+      skipWhitespace();
+      if (text[pos] === close) {
+        pos++;
+        return;
+      }
+      for (;;) {
+        if (open === '{') {
+          skipWhitespace();
+          const key = readString();
+          expect(':');
+          readValue(at ? `${at}.${key}` : key);
+        } else {
+          readValue(`${at}[${index++}]`);
+        }
+        skipWhitespace();
+        if (text[pos] === close) {
+          pos++;
+          return;
+        }
+        expect(',');
+      }
+    } else if (open === '"') {
+      readString();
+    } else {
+      const start = pos;
+      while (pos < text.length && !/[\s,\]}:]/.test(text[pos])) {
+        pos++;
+      }
+      if (!/^(true|false|null|-?(0|[1-9]\d*)(\.\d+)?([eE][+-]?\d+)?)$/.test(text.slice(start, pos))) {
+        pos = start;
+        fail();
+      }
+    }
+  };
+
+  readValue('');
+  skipWhitespace();
+  if (pos < text.length) {
+    fail();
+  }
+  return locations;
+}
+
+/**
+ * Parses and validates config text. Returns the config (null if the JSON is
+ * malformed) and a list of { path, message, line, column } errors.
+ */
+function validateConfigText(text) {
+  let locations;
+  try {
+    locations = locateJsonPaths(text);
+  } catch (error) {
+    return {
+      config: null,
+      errors: [{ path: '(root)', message: error.message, line: error.line, column: error.column }]
+    };
+  }
+
+  const prepared = prepareConfig(JSON.parse(text));
+  const errors = prepared.errors.map(error => {
+    // Fall back to the nearest located ancestor for fields that are missing
+    let at = error.path;
+    while (!locations[at] && at !== '(root)') {
+      at = at.includes('.') || at.includes('[') ? at.replace(/(\.[^.[\]]+|\[\d+\])$/, '') || '(root)' : '(root)';
+    }
+    return { ...error, ...locations[at] };
+  });
+
+  return { config: prepared.config, errors };
+}
+
+function stripConfigComments(value) {
+  if (Array.isArray(value)) {
+    return value.map(stripConfigComments);
+  }
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(
+      Object.entries(value)
+        .filter(([key]) => !key.startsWith('$'))
+        .map(([key, child]) => [key, stripConfigComments(child)])
+    );
+  }
+  return value;
+}
+
+function formatConfigError(file, error) {
+  return `${file}:${error.line}:${error.column}  ${error.path}: ${error.message}`;
+}
+
+// Written by `task-master config init`
+const DEFAULT_CONFIG = {
+  $comment: 'Claude Task Master config for {{PROJECT_NAME}}. Keys starting with "$" are comments. Check with: task-master config validate',
+  taskCategories: {
+    $comment: 'Task types: the prefix becomes part of every task ID (FEAT-1A2B3C4D)',
+    feature: {
+      prefix: 'FEAT',
+      description: 'New functionality',
+      template: {
+        checklist: ['Acceptance criteria met', { text: 'Docs updated', required: false }]
+      }
+    },
+    bugfix: {
+      prefix: 'BUG',
+      description: 'Defect fixes',
+      template: {
+        $comment: 'Fields are set with --fields name=value; required fields and checklist items must be done before completion (override with done --force)',
+        fields: {
+          severity: { required: true, enum: ['critical', 'major', 'minor'], description: 'User impact' }
+        },
+        checklist: [
+          'Repro steps documented',
+          'Regression test added',
+          { text: 'Release notes updated', required: false }
+        ]
+      }
+    },
+    refactor: { prefix: 'REF', description: 'Internal restructuring without behaviour change' },
+    docs: { prefix: 'DOC', description: 'Documentation only' }
+  },
+  workflowFragments: {
+    $comment: 'Named step lists shared by workflows. { "include": "name" } anywhere in a step list expands to the fragment; fragments may include each other.',
+    verify: [
+      { name: 'Run tests', command: 'npm test', timeoutMs: 600000, retries: 1, retryDelayMs: 5000 },
+      { name: 'Code review', manual: true }
+    ]
+  },
+  workflows: {
+    $comment: 'Steps per task type. A step has "command", "run" (argv array, no shell) or "manual": true, plus optional timeoutMs, retries, retryDelayMs, continueOnError, captureAs, captureFormat, when and expectFailure. ${taskId}, ${taskSlug}, ${title} and captured values reach the shell as environment variables ("${TM_title}"), plain words are pasted in; "rawInterpolation": true pastes every value unquoted. "extends" inherits another workflow\'s steps in place of "steps"; "overrides" patches them by id or name and "prepend"/"append" add steps around them.',
+    feature: {
+      steps: [
+        { name: 'Create branch', command: 'git checkout -b feature/${taskId}-${taskSlug}' },
+        { name: 'Write failing tests', command: 'npm test', expectFailure: true },
+        { name: 'Implement', manual: true },
+        { include: 'verify' }
+      ]
+    },
+    bugfix: {
+      steps: [
+        { name: 'Reproduce with a failing test', command: 'npm test', expectFailure: true },
+        { name: 'Fix', manual: true },
+        { include: 'verify' }
+      ]
+    },
+    refactor: {
+      extends: 'feature',
+      overrides: {
+        'Write failing tests': { name: 'Tests pass before refactoring', expectFailure: false }
+      }
+    }
+  },
+  automations: {
+    preCommit: {
+      $comment: 'Run by `task-master precommit`, together with TDD Foundation validation. Checks run in parallel unless ordered with "dependsOn". With --staged (the installed git hook), ${stagedFiles} expands to the staged files matching the optional "files" regex, and checks with no matching files are skipped.',
+      enabled: true,
+      checks: [
+        { name: 'Lint', command: 'npm run lint' },
+        { name: 'Tests', command: 'npm test' }
+      ]
+    }
+  },
+  lifecycle: {
+    $comment: 'Allowed status transitions; new tasks start in "initial"',
+    ...DEFAULT_LIFECYCLE
+  },
+  priorities: DEFAULT_PRIORITIES,
+  syncToOppieDevkit: false
+};
+
+/**
+ * Task store and workflow runner. Everything is resolved against `cwd`
+ * unless overridden:
+ *
+ *   config      config object to use instead of reading configPath
+ *   configPath  defaults to <cwd>/.claude-task-master.json
+ *   tasksDir    defaults to <cwd>/.claude/tasks
+ *   logger      { log, error } for progress output; defaults to console
+ *   stdout      writable stream that receives workflow step stdout as it
+ *   stderr      is produced, likewise for stderr; both default to none
+ *               (step output still lands in the run's log files)
+ *   stdin       stdin for workflow steps: 'ignore' (default) or 'inherit'
+ *
+ * Emits `task:created` ({ task }), `task:updated` ({ task, previous }) and
+ * `workflow:step` ({ taskId, run, step }) on every step state change.
+ */
+class ClaudeTaskMaster extends EventEmitter {
+  constructor(options = {}) {
+    super();
+    this.cwd = path.resolve(options.cwd || process.cwd());
+    this.logger = options.logger || console;
+    this.stdout = options.stdout || null;
+    this.stderr = options.stderr || null;
+    this.stdin = options.stdin || 'ignore';
+    this.configPath = path.resolve(this.cwd, options.configPath || '.claude-task-master.json');
+    this.config = options.config ? this.checkConfig(options.config) : this.loadConfig();
+    this.tasksDir = path.resolve(this.cwd, options.tasksDir || '.claude/tasks');
+    this.heldLocks = new Set();
+    this.ensureTasksDirectory();
+  }
+
+  loadConfig() {
+    const file = path.relative(this.cwd, this.configPath);
+    if (!fs.existsSync(this.configPath)) {
+      throw new ConfigError(`${file} not found (create one with: task-master config init)`, { file });
+    }
+
+    // Fail fast on a bad config rather than with a TypeError mid-command
+    const { config, errors } = validateConfigText(fs.readFileSync(this.configPath, 'utf8'));
+    if (errors.length > 0) {
+      throw new ConfigError(`Invalid ${file} (${errors.length} error${errors.length === 1 ? '' : 's'})`, { file, errors });
+    }
+    return config;
+  }
+
+  checkConfig(raw) {
+    const { config, errors } = prepareConfig(raw);
+    if (errors.length > 0) {
+      throw new ConfigError(`Invalid config (${errors.length} error${errors.length === 1 ? '' : 's'})`, { errors });
+    }
+    return config;
+  }
+
+  ensureTasksDirectory() {
+    if (!fs.existsSync(this.tasksDir)) {
+      fs.mkdirSync(this.tasksDir, { recursive: true });
+    }
+  }
+
+  withLock(target, fn) {
+    const lockFile = `${target}.lock`;
+
+    // Re-entrant within this process
+    if (this.heldLocks.has(lockFile)) {
+      return fn();
+    }
+
+    const deadline = Date.now() + LOCK_TIMEOUT_MS;
+    for (;;) {
+      try {
+        const fd = fs.openSync(lockFile, 'wx');
+        fs.writeSync(fd, JSON.stringify({ pid: process.pid, host: os.hostname(), acquired: new Date().toISOString() }));
+        fs.closeSync(fd);
+        break;
+      } catch (error) {
+        if (error.code !== 'EEXIST') {
+          throw error;
+        }
+        if (this.isLockStale(lockFile)) {
+          try {
+            fs.unlinkSync(lockFile);
+          } catch (unlinkError) {
+            // Another process broke it first
+          }
+          continue;
+        }
+        if (Date.now() > deadline) {
+          throw new LockTimeoutError(
+            `Timed out waiting for ${path.relative(this.cwd, lockFile)} ` +
+            '(delete it if no other task-master is running)'
+          );
+        }
+        sleepSync(LOCK_RETRY_MS);
+      }
+    }
+
+    this.heldLocks.add(lockFile);
+    try {
+      return fn();
+    } finally {
+      this.heldLocks.delete(lockFile);
+      try {
+        fs.unlinkSync(lockFile);
+      } catch (error) {
+        // Already broken as stale by another process
+      }
+    }
+  }
+
+  isLockStale(lockFile) {
+    try {
+      if (Date.now() - fs.statSync(lockFile).mtimeMs > LOCK_STALE_MS) {
+        return true;
+      }
+      const owner = JSON.parse(fs.readFileSync(lockFile, 'utf8'));
+      if (owner.host === os.hostname()) {
+        process.kill(owner.pid, 0);
+      }
+      return false;
+    } catch (error) {
+      // ESRCH: the owning process is gone. Anything else (the lock vanished
+      // or is still being written) means retry.
+      return error.code === 'ESRCH';
+    }
+  }
+
+  generateTaskId() {
+    return crypto.randomBytes(4).toString('hex').toUpperCase();
+  }
+
+  slugify(text) {
+    return text
+      .toLowerCase()
+      .replace(/[^a-z0-9]+/g, '-')
+      .replace(/(^-|-$)/g, '');
+  }
+
+  createTask(type, title, description = '', options = {}) {
+    const taskId = this.generateTaskId();
+    const category = this.config.taskCategories[type];
+    
+    if (!category) {
+      throw new ValidationError(
+        `Unknown task type: ${type} (available: ${Object.keys(this.config.taskCategories).join(', ')})`
+      );
+    }
+
+    const id = `${category.prefix}-${taskId}`;
+    const dependsOn = options.dependsOn || [];
+    this.validateDependencies(id, dependsOn);
+
+    const parent = options.parent || null;
+    if (parent) {
+      this.getTask(parent);
+    }
+
+    const planning = this.normalizePlanningFields(options);
+    const fields = this.normalizeTemplateFields(type, options.fields, {
+      requireAll: options.requireFields !== false
+    });
+
+    const task = {
+      id,
+      type,
+      title,
+      description,
+      status: this.getLifecycle().initial,
+      priority: planning.priority || this.getDefaultPriority(),
+      estimate: planning.estimate || null,
+      due: planning.due || null,
+      dependsOn,
+      parent,
+      fields,
+      checklist: this.buildChecklist(type),
+      notes: [],
+      created: new Date().toISOString(),
+      updated: new Date().toISOString(),
+      workflow: (this.config.workflows || {})[type] || null,
+      projectName: '{{PROJECT_NAME}}' // Template variable
+    };
+
+    if (options.source) {
+      task.source = options.source;
+    }
+
+    const taskFile = path.join(this.tasksDir, `${task.id}.json`);
+    writeJsonAtomic(taskFile, task);
+    this.updateIndex(task);
+    this.emit('task:created', { task });
+
+    if (!options.quiet) {
+      this.logger.log(`✓ Task created: ${task.id}`);
+      this.logger.log(`  Title: ${title}`);
+      this.logger.log(`  Type: ${type}`);
+      this.logger.log(`  Project: {{PROJECT_NAME}}`);
+      this.logger.log(`  Priority: ${task.priority}`);
+
+      if (task.due) {
+        this.logger.log(`  Due: ${task.due}`);
+      }
+
+      if (parent) {
+        this.logger.log(`  Parent: ${parent}`);
+      }
+
+      if (dependsOn.length > 0) {
+        this.logger.log(`  Depends on: ${dependsOn.join(', ')}`);
+      }
+
+      Object.entries(fields).forEach(([name, value]) => {
+        this.logger.log(`  ${name}: ${value}`);
+      });
+
+      if (task.checklist.length > 0) {
+        this.logger.log(`  Checklist: ${task.checklist.length} items`);
+      }
+      
+      if (task.workflow) {
+        this.logger.log(`  Workflow: ${task.workflow.steps.length} steps`);
+      }
+    }
+
+    // Sync to oppie-devkit if enabled
+    if (this.config.syncToOppieDevkit) {
+      this.syncTaskToOppieDevkit(task);
+    }
+
+    return task;
+  }
+
+  syncTaskToOppieDevkit(task) {
+    // Template for syncing tasks to oppie-devkit
+    const syncPath = path.join(this.cwd, '.claude/oppie-sync-queue.json');
+
+    this.withLock(syncPath, () => {
+      let syncQueue = [];
+      
+      if (fs.existsSync(syncPath)) {
+        syncQueue = JSON.parse(fs.readFileSync(syncPath, 'utf8'));
+      }
+      
+      syncQueue.push({
+        type: 'task',
+        task,
+        timestamp: new Date().toISOString(),
+        project: '{{PROJECT_NAME}}'
+      });
+      
+      writeJsonAtomic(syncPath, syncQueue);
+    });
+    this.logger.log('  → Task queued for oppie-devkit sync');
+  }
+
+  listTaskFiles() {
+    return fs.readdirSync(this.tasksDir)
+      .filter(f => f.endsWith('.json') && !RESERVED_TASK_FILES.includes(f));
+  }
+
+  getIndexFile() {
+    return path.join(this.tasksDir, 'index.json');
+  }
+
+  // The index as stored, or null when missing, corrupt or of another version
+  readIndexFile() {
+    const indexFile = this.getIndexFile();
+    if (!fs.existsSync(indexFile)) {
+      return null;
+    }
+    try {
+      const index = JSON.parse(fs.readFileSync(indexFile, 'utf8'));
+      return index && index.version === INDEX_VERSION && index.tasks ? index : null;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  loadIndex() {
+    const index = this.readIndexFile();
+
+    // Rebuild when missing, corrupt or out of step with the task files
+    if (!index || Object.keys(index.tasks).length !== this.listTaskFiles().length) {
+      return this.reindex().index;
+    }
+    return index;
+  }
+
+  reindex() {
+    return this.withLock(this.getIndexFile(), () => {
+      const tasks = {};
+      const invalid = [];
+
+      for (const file of this.listTaskFiles()) {
+        try {
+          const task = JSON.parse(fs.readFileSync(path.join(this.tasksDir, file), 'utf8'));
+          tasks[task.id] = this.toIndexEntry(task);
+        } catch (error) {
+          invalid.push({ file, error: error.message });
+        }
+      }
+
+      const index = { version: INDEX_VERSION, updated: new Date().toISOString(), tasks };
+      writeJsonAtomic(this.getIndexFile(), index);
+      return { index, invalid };
+    });
+  }
+
+  updateIndex(task) {
+    this.withLock(this.getIndexFile(), () => {
+      // No count check: a new task's file is already written, so the stored
+      // index is one entry short by design and only needs that entry added
+      const index = this.readIndexFile();
+      if (!index) {
+        this.reindex();
+        return;
+      }
+      index.tasks[task.id] = this.toIndexEntry(task);
+      index.updated = new Date().toISOString();
+      writeJsonAtomic(this.getIndexFile(), index);
+    });
+  }
+
+  toIndexEntry(task) {
+    const entry = {};
+    INDEX_FIELDS.filter(field => field in task).forEach(field => {
+      entry[field] = task[field];
+    });
+    return entry;
+  }
+
+  loadTaskSummaries() {
+    return Object.values(this.loadIndex().tasks);
+  }
+
+  loadAllTasks() {
+    return this.loadTaskSummaries().map(summary => this.getTask(summary.id));
+  }
+
+  /**
+   * Index summaries (see INDEX_FIELDS) with derived readiness and progress;
+   * use getTask for a task's full record.
+   */
+  listTasks(filter = {}) {
+    const tasks = this.loadTaskSummaries();
+    const tasksById = new Map(tasks.map(t => [t.id, t]));
+
+    // Readiness and progress are derived from the task graph, never persisted
+    let filtered = tasks.map(task => ({
+      ...task,
+      ...this.deriveReadiness(task, tasksById),
+      progress: this.deriveProgress(task, tasks)
+    }));
+
+    if (filter.type) {
+      filtered = filtered.filter(t => t.type === filter.type);
+    }
+
+    if (filter.status) {
+      filtered = filtered.filter(t => t.status === filter.status);
+    }
+
+    if (filter.readiness) {
+      filtered = filtered.filter(t => t.readiness === filter.readiness);
+    }
+
+    if (filter.parent !== undefined) {
+      filtered = filtered.filter(t => (t.parent || null) === filter.parent);
+    }
+
+    if (filter.since) {
+      const since = parseDateFilter(filter.since).getTime();
+      filtered = filtered.filter(t => new Date(t.created).getTime() >= since);
+    }
+
+    if (filter.until) {
+      const until = parseDateFilter(filter.until, { endOfDay: true }).getTime();
+      filtered = filtered.filter(t => new Date(t.created).getTime() <= until);
+    }
+
+    if (filter.search) {
+      const needle = filter.search.toLowerCase();
+      filtered = filtered.filter(t =>
+        `${t.title}\n${t.description || ''}`.toLowerCase().includes(needle)
+      );
+    }
+
+    const sorted = this.sortTasks(filtered, filter.sort);
+    if (filter.limit === undefined) {
+      return sorted;
+    }
+    if (!/^[1-9]\d*$/.test(String(filter.limit))) {
+      throw new ValidationError(`Invalid limit "${filter.limit}" (use a positive whole number)`);
+    }
+    return sorted.slice(0, Number(filter.limit));
+  }
+
+  sortTasks(tasks, sort = '-created') {
+    // A leading "-" sorts descending; dates compare chronologically
+    const descending = sort.startsWith('-');
+    const field = descending ? sort.slice(1) : sort;
+    const sortable = ['id', 'title', 'type', 'status', 'priority', 'due', 'created', 'updated'];
+
+    if (!sortable.includes(field)) {
+      throw new ValidationError(`Cannot sort by "${field}". Sortable fields: ${sortable.join(', ')}`);
+    }
+
+    const value = task => {
+      if (field === 'created' || field === 'updated') {
+        return new Date(task[field]).getTime();
+      }
+      if (field === 'priority') {
+        return this.getPriorityRank(task);
+      }
+      if (field === 'due') {
+        return task.due || '9999-12-31';
+      }
+      return String(task[field] || '').toLowerCase();
+    };
+
+    return [...tasks].sort((a, b) => {
+      const order = value(a) < value(b) ? -1 : value(a) > value(b) ? 1 : 0;
+      return descending ? -order : order;
+    });
+  }
+
+  deriveReadiness(task, tasksById) {
+    if (CLOSED_STATUSES.includes(task.status)) {
+      return { readiness: 'done', blockedBy: [] };
+    }
+
+    const blockedBy = (task.dependsOn || []).filter(depId => {
+      const dep = tasksById.get(depId);
+      return !dep || !CLOSED_STATUSES.includes(dep.status);
+    });
+
+    return {
+      readiness: blockedBy.length > 0 || task.status === 'blocked' ? 'blocked' : 'ready',
+      blockedBy
+    };
+  }
+
+  getLifecycle() {
+    return this.config.lifecycle || DEFAULT_LIFECYCLE;
+  }
+
+  assertTransition(task, to) {
+    const { transitions } = this.getLifecycle();
+
+    if (!(to in transitions)) {
+      throw new ValidationError(`Unknown status "${to}". Known statuses: ${Object.keys(transitions).join(', ')}`);
+    }
+
+    const allowed = transitions[task.status] || [];
+    if (!allowed.includes(to)) {
+      throw new TransitionError(
+        `Cannot move ${task.id} from ${task.status} to ${to}` +
+        (allowed.length > 0 ? ` (allowed: ${allowed.join(', ')})` : ` (${task.status} is final)`)
+      );
+    }
+  }
+
+  transitionTask(taskId, to, { reason = '', force = false } = {}) {
+    return this.updateTask(taskId, { status: to }, { reason, force });
+  }
+
+  getChildren(taskId, tasks = this.loadTaskSummaries()) {
+    return tasks.filter(t => t.parent === taskId);
+  }
+
+  deriveProgress(task, tasks) {
+    const children = this.getChildren(task.id, tasks);
+    if (children.length === 0) {
+      return null;
+    }
+
+    // Cancelled children no longer count towards the total
+    const cancelled = children.filter(c => c.status === 'cancelled').length;
+    return {
+      done: children.filter(c => c.status === 'completed').length,
+      total: children.length - cancelled,
+      cancelled
+    };
+  }
+
+  validateParent(taskId, parent) {
+    if (parent === taskId) {
+      throw new ValidationError(`Task ${taskId} cannot be its own parent`);
+    }
+
+    // Walk up the ancestry; meeting taskId means the move would create a loop
+    const trail = [taskId];
+    let current = parent;
+    while (current) {
+      trail.push(current);
+      if (current === taskId) {
+        throw new ValidationError(`Parent cycle detected: ${trail.join(' → ')}`);
+      }
+      current = this.getTask(current).parent;
+    }
+  }
+
+  assertChildrenClosed(taskId) {
+    const open = this.getChildren(taskId)
+      .filter(c => !CLOSED_STATUSES.includes(c.status));
+
+    if (open.length > 0) {
+      throw new TransitionError(
+        `Cannot complete ${taskId}: ${open.length} subtask(s) still open (${open.map(c => c.id).join(', ')})`
+      );
+    }
+  }
+
+  validateDependencies(taskId, dependsOn) {
+    for (const depId of dependsOn) {
+      if (depId === taskId) {
+        throw new ValidationError(`Task ${taskId} cannot depend on itself`);
+      }
+      this.getTask(depId);
+    }
+
+    const cycle = this.findDependencyCycle(taskId, dependsOn);
+    if (cycle) {
+      throw new ValidationError(`Dependency cycle detected: ${cycle.join(' → ')}`);
+    }
+  }
+
+  findDependencyCycle(taskId, dependsOn) {
+    const graph = new Map(this.loadTaskSummaries().map(t => [t.id, t.dependsOn || []]));
+    graph.set(taskId, dependsOn);
+
+    // Depth-first walk from taskId; reaching it again closes a cycle
+    const visited = new Set();
+    const walk = (id, trail) => {
+      for (const next of graph.get(id) || []) {
+        if (next === taskId) {
+          return [...trail, next];
+        }
+        if (visited.has(next)) {
+          continue;
+        }
+        visited.add(next);
+        const cycle = walk(next, [...trail, next]);
+        if (cycle) {
+          return cycle;
+        }
+      }
+      return null;
+    };
+
+    return walk(taskId, [taskId]);
+  }
+
+  getTemplate(type) {
+    const category = this.config.taskCategories[type] || {};
+    return { fields: {}, checklist: [], ...(category.template || {}) };
+  }
+
+  normalizeTemplateFields(type, values = {}, { requireAll = true } = {}) {
+    const { fields } = this.getTemplate(type);
+    const known = Object.keys(fields);
+
+    Object.keys(values || {}).forEach(name => {
+      if (!fields[name]) {
+        throw new ValidationError(
+          `Unknown field "${name}" for ${type} tasks` +
+          (known.length > 0 ? ` (fields: ${known.join(', ')})` : ' (its template defines no fields)')
+        );
+      }
+    });
+
+    const result = {};
+    Object.entries(fields).forEach(([name, spec]) => {
+      const given = (values || {})[name];
+      const cleared = given === null || given === '';
+      const value = given !== undefined && !cleared ? String(given) : spec.default;
+      if (value === undefined) {
+        // Without requireAll a required field may stay unset, but not be cleared
+        if (spec.required && (requireAll || cleared)) {
+          throw new ValidationError(
+            `${type} tasks require the "${name}" field` + (spec.enum ? ` (one of ${spec.enum.join(', ')})` : '')
+          );
+        }
+        return;
+      }
+      if (spec.enum && !spec.enum.includes(value)) {
+        throw new ValidationError(`Invalid ${name} "${value}" (use ${spec.enum.join(', ')})`);
+      }
+      result[name] = value;
+    });
+    return result;
+  }
+
+  buildChecklist(type) {
+    return this.getTemplate(type).checklist.map((item, index) => {
+      const { text, required = true } = typeof item === 'string' ? { text: item } : item;
+      return { id: index + 1, text, required, done: false };
+    });
+  }
+
+  getMissingFields(task) {
+    return Object.entries(this.getTemplate(task.type).fields)
+      .filter(([name, spec]) => spec.required && !(task.fields && task.fields[name]))
+      .map(([name]) => name);
+  }
+
+  getOpenChecklistItems(task) {
+    return (task.checklist || []).filter(item => item.required && !item.done);
+  }
+
+  assertTemplateComplete(task) {
+    const missing = this.getMissingFields(task);
+    const open = this.getOpenChecklistItems(task);
+    const problems = [
+      missing.length > 0 ? `missing field(s) ${missing.join(', ')}` : '',
+      open.length > 0 ? `${open.length} required checklist item(s) open (${open.map(item => `${item.id}. ${item.text}`).join('; ')})` : ''
+    ].filter(Boolean);
+
+    if (problems.length > 0) {
+      throw new TransitionError(`Cannot complete ${task.id}: ${problems.join(', ')}. Use --force to override.`);
+    }
+  }
+
+  findChecklistItem(task, itemRef) {
+    const checklist = task.checklist || [];
+    const ref = String(itemRef).toLowerCase();
+    const matches = /^\d+$/.test(ref)
+      ? checklist.filter(item => String(item.id) === ref)
+      : checklist.filter(item => item.text.toLowerCase().includes(ref));
+
+    if (matches.length === 0) {
+      throw new NotFoundError(`No checklist item "${itemRef}" on ${task.id}`);
+    }
+    if (matches.length > 1) {
+      throw new ValidationError(`"${itemRef}" matches ${matches.length} checklist items on ${task.id}; use its number`);
+    }
+    return matches[0];
+  }
+
+  checkItem(taskId, itemRef, { done = true, by = this.getCurrentUser() } = {}) {
+    let itemId;
+    const task = this.updateTask(taskId, current => {
+      itemId = this.findChecklistItem(current, itemRef).id;
+      return {
+        checklist: current.checklist.map(item => {
+          if (item.id !== itemId) {
+            return item;
+          }
+          const { checkedAt, checkedBy, ...rest } = item;
+          return done ? { ...rest, done: true, checkedAt: new Date().toISOString(), checkedBy: by } : { ...rest, done: false };
+        })
+      };
+    });
+    return { task, item: task.checklist.find(item => item.id === itemId) };
+  }
+
+  getPriorities() {
+    return this.config.priorities || DEFAULT_PRIORITIES;
+  }
+
+  getDefaultPriority() {
+    const priorities = this.getPriorities();
+    return priorities[Math.floor(priorities.length / 2)];
+  }
+
+  getPriorityRank(task) {
+    const rank = this.getPriorities().indexOf(task.priority || this.getDefaultPriority());
+    return rank === -1 ? this.getPriorities().length : rank;
+  }
+
+  normalizePlanningFields(fields) {
+    const normalized = {};
+
+    if (fields.priority !== undefined) {
+      if (!this.getPriorities().includes(fields.priority)) {
+        throw new ValidationError(`Unknown priority "${fields.priority}" (use ${this.getPriorities().join(', ')})`);
+      }
+      normalized.priority = fields.priority;
+    }
+
+    if (fields.estimate !== undefined) {
+      normalized.estimate = this.parseEstimate(fields.estimate);
+    }
+
+    if (fields.due !== undefined) {
+      if (fields.due === null || fields.due === '') {
+        normalized.due = null;
+      } else if (!/^\d{4}-\d{2}-\d{2}$/.test(fields.due) || !isCalendarDate(fields.due)) {
+        throw new ValidationError(`Invalid due date "${fields.due}" (use YYYY-MM-DD)`);
+      } else {
+        normalized.due = fields.due;
+      }
+    }
+
+    return normalized;
+  }
+
+  parseEstimate(estimate) {
+    if (estimate === null || estimate === '') {
+      return null;
+    }
+    if (typeof estimate === 'object') {
+      return estimate;
+    }
+
+    // "3" or "3pt" is story points, "4h" is hours
+    const match = /^(\d+(?:\.\d+)?)\s*(h|hours?|pts?|points?)?$/i.exec(String(estimate).trim());
+    if (!match) {
+      throw new ValidationError(`Invalid estimate "${estimate}" (use points like 3 or hours like 4h)`);
+    }
+    return {
+      value: Number(match[1]),
+      unit: match[2] && match[2].toLowerCase().startsWith('h') ? 'hours' : 'points'
+    };
+  }
+
+  formatEstimate(estimate) {
+    if (!estimate) {
+      return '-';
+    }
+    return estimate.unit === 'hours' ? `${estimate.value}h` : `${estimate.value}pt`;
+  }
+
+  isOverdue(task, today = localDateString()) {
+    return Boolean(task.due) && task.due < today && !CLOSED_STATUSES.includes(task.status);
+  }
+
+  comparePriority(a, b) {
+    // Priority first, then earliest due date, then taskCategories order, then oldest
+    const priority = this.getPriorityRank(a) - this.getPriorityRank(b);
+    if (priority !== 0) {
+      return priority;
+    }
+    const dueA = a.due || '9999-12-31';
+    const dueB = b.due || '9999-12-31';
+    if (dueA !== dueB) {
+      return dueA < dueB ? -1 : 1;
+    }
+    const order = Object.keys(this.config.taskCategories);
+    const rank = order.indexOf(a.type) - order.indexOf(b.type);
+    if (rank !== 0) {
+      return rank;
+    }
+    return new Date(a.created).getTime() - new Date(b.created).getTime();
+  }
+
+  planTasks(filter = {}) {
+    const today = localDateString();
+    return this.listTasks(filter)
+      .filter(t => !CLOSED_STATUSES.includes(t.status))
+      .sort((a, b) => this.comparePriority(a, b))
+      .map(task => ({ ...task, overdue: this.isOverdue(task, today) }));
+  }
+
+  nextTask() {
+    const ready = this.listTasks({ readiness: 'ready' });
+    return ready.sort((a, b) => this.comparePriority(a, b))[0] || null;
+  }
+
+  getTask(taskId) {
+    const taskFile = path.join(this.tasksDir, `${taskId}.json`);
+    if (!fs.existsSync(taskFile)) {
+      throw new NotFoundError(`Task not found: ${taskId}`);
+    }
+    return JSON.parse(fs.readFileSync(taskFile, 'utf8'));
+  }
+
+  updateTask(taskId, updates, { reason = '', force = false } = {}) {
+    const taskFile = path.join(this.tasksDir, `${taskId}.json`);
+
+    // Read-modify-write under the task's lock. `updates` may be a function of
+    // the current task, so appends to arrays never lose concurrent writes.
+    let previous;
+    const updated = this.withLock(taskFile, () => {
+      const task = this.getTask(taskId);
+      previous = task;
+      let changes = typeof updates === 'function' ? updates(task) : updates;
+      let statusHistory = task.statusHistory || [];
+      changes = { ...changes, ...this.normalizePlanningFields(changes) };
+
+      if (changes.dependsOn) {
+        this.validateDependencies(taskId, changes.dependsOn);
+      }
+
+      if (changes.parent) {
+        this.validateParent(taskId, changes.parent);
+      }
+
+      // The notes journal is append-only: existing entries never change
+      if (changes.notes) {
+        const existing = task.notes || [];
+        if (!Array.isArray(changes.notes) ||
+            JSON.stringify(changes.notes.slice(0, existing.length)) !== JSON.stringify(existing)) {
+          throw new ValidationError(`Notes on ${taskId} are append-only; use addNote`);
+        }
+      }
+
+      if (changes.fields) {
+        changes.fields = this.normalizeTemplateFields(task.type, { ...task.fields, ...changes.fields }, {
+          requireAll: false
+        });
+      }
+
+      // Status changes must follow the lifecycle and are recorded in statusHistory
+      if (changes.status !== undefined && changes.status !== task.status) {
+        this.assertTransition(task, changes.status);
+        if (changes.status === 'completed') {
+          this.assertChildrenClosed(taskId);
+          if (!force) {
+            this.assertTemplateComplete({ ...task, ...changes });
+          }
+        }
+        statusHistory = [...statusHistory, {
+          from: task.status,
+          to: changes.status,
+          at: new Date().toISOString(),
+          by: this.getCurrentUser(),
+          reason,
+          ...(force ? { forced: true } : {})
+        }];
+      }
+
+      const result = {
+        ...task,
+        ...changes,
+        statusHistory,
+        updated: new Date().toISOString()
+      };
+
+      writeJsonAtomic(taskFile, result);
+      this.updateIndex(result);
+      return result;
+    });
+    this.emit('task:updated', { task: updated, previous });
+    
+    // Sync updates to oppie-devkit
+    if (this.config.syncToOppieDevkit) {
+      this.syncTaskToOppieDevkit(updated);
+    }
+    
+    return updated;
+  }
+
+  addNote(taskId, text, { author = this.getCurrentUser() } = {}) {
+    if (typeof text !== 'string' || !text.trim()) {
+      throw new ValidationError('Note text must not be empty');
+    }
+
+    // Stamped under the task lock so journal order matches timestamps
+    let note;
+    const task = this.updateTask(taskId, current => {
+      note = { at: new Date().toISOString(), author, text: text.trim() };
+      return { notes: [...(current.notes || []), note] };
+    });
+    return { task, note };
+  }
+
+  getRunsDir(taskId) {
+    return path.join(this.tasksDir, taskId, 'runs');
+  }
+
+  listRuns(taskId) {
+    const runsDir = this.getRunsDir(taskId);
+    if (!fs.existsSync(runsDir)) {
+      return [];
+    }
+
+    return fs.readdirSync(runsDir)
+      .filter(f => f.endsWith('.json'))
+      .map(file => JSON.parse(fs.readFileSync(path.join(runsDir, file), 'utf8')))
+      .sort((a, b) => a.run - b.run);
+  }
+
+  getLatestRun(taskId) {
+    const runs = this.listRuns(taskId);
+    return runs[runs.length - 1] || null;
+  }
+
+  getRun(taskId, runNumber) {
+    const run = this.listRuns(taskId).find(r => r.run === Number(runNumber));
+    if (!run) {
+      throw new NotFoundError(`Run ${runNumber} not found for ${taskId}`);
+    }
+    return run;
+  }
+
+  getRunLogs(taskId, options = {}) {
+    const run = options.run !== undefined
+      ? this.getRun(taskId, options.run)
+      : this.getLatestRun(taskId);
+
+    if (!run) {
+      throw new NotFoundError(`No runs recorded for ${taskId}`);
+    }
+
+    let steps = run.steps;
+    if (options.step !== undefined) {
+      const index = this.findStepIndex(run, options.step);
+      if (index === -1) {
+        throw new NotFoundError(`Unknown step "${options.step}" in run ${run.run} of ${taskId}`);
+      }
+      steps = [run.steps[index]];
+    }
+
+    const runsDir = this.getRunsDir(taskId);
+    const readLog = file => {
+      const logFile = file && path.join(runsDir, file);
+      return logFile && fs.existsSync(logFile) ? fs.readFileSync(logFile, 'utf8') : '';
+    };
+
+    return {
+      run,
+      steps: steps.map(record => ({
+        ...record,
+        attempts: (record.attempts || []).map(attempt => ({
+          ...attempt,
+          stdout: readLog(attempt.stdoutLog),
+          stderr: readLog(attempt.stderrLog)
+        }))
+      }))
+    };
+  }
+
+  saveRun(run) {
+    const runsDir = this.getRunsDir(run.taskId);
+    fs.mkdirSync(runsDir, { recursive: true });
+    const runFile = path.join(runsDir, `${String(run.run).padStart(4, '0')}.json`);
+    writeJsonAtomic(runFile, run);
+  }
+
+  createRun(task, startIndex, previousRun = null) {
+    const latest = this.getLatestRun(task.id);
+    const steps = task.workflow.steps.map((step, index) => {
+      // Steps before the start point keep their earlier result, or are skipped
+      if (index < startIndex) {
+        const previous = previousRun && previousRun.steps[index];
+        return previous && this.isStepSettled(previous)
+          ? { ...previous }
+          : { index: index + 1, key: this.getStepKey(step), name: step.name, status: 'skipped', started: null, ended: null, exitCode: null };
+      }
+      return { index: index + 1, key: this.getStepKey(step), name: step.name, status: 'pending', started: null, ended: null, exitCode: null };
+    });
+
+    return {
+      run: latest ? latest.run + 1 : 1,
+      taskId: task.id,
+      status: 'running',
+      started: new Date().toISOString(),
+      ended: null,
+      startStep: startIndex + 1,
+      resumedFrom: previousRun ? previousRun.run : null,
+      exitCode: null,
+      // Values captured by earlier steps (captureAs), carried over on resume
+      captured: previousRun ? { ...previousRun.captured } : {},
+      steps
+    };
+  }
+
+  isStepSettled(record) {
+    // Skipped steps and failures tolerated via continueOnError are not re-run on resume
+    return record.status === 'completed' ||
+      record.status === 'skipped' ||
+      Boolean(record.continuedOnError);
+  }
+
+  getStepKey(step) {
+    return step.id || this.slugify(step.name);
+  }
+
+  buildStepsContext(task, run) {
+    const steps = {};
+    task.workflow.steps.forEach((step, index) => {
+      const record = run.steps[index];
+      steps[this.getStepKey(step)] = {
+        status: record.status,
+        exitCode: record.exitCode,
+        succeeded: record.status === 'completed',
+        failed: record.status === 'failed',
+        skipped: record.status === 'skipped'
+      };
+    });
+    return steps;
+  }
+
+  resolveStartStep(task, options) {
+    const total = task.workflow.steps.length;
+
+    if (options.resume) {
+      const previousRun = this.getLatestRun(task.id);
+      if (!previousRun) {
+        throw new NotFoundError(`No previous run to resume for ${task.id}`);
+      }
+      if (previousRun.status === 'completed') {
+        throw new TransitionError(`Run ${previousRun.run} of ${task.id} already completed`);
+      }
+      const startIndex = previousRun.steps.findIndex(step => !this.isStepSettled(step));
+      return { startIndex: startIndex === -1 ? total : startIndex, previousRun };
+    }
+
+    if (options.fromStep !== undefined) {
+      const stepNumber = Number(options.fromStep);
+      if (!Number.isInteger(stepNumber) || stepNumber < 1 || stepNumber > total) {
+        throw new ValidationError(`--from-step must be between 1 and ${total}`);
+      }
+      return { startIndex: stepNumber - 1, previousRun: null };
+    }
+
+    return { startIndex: 0, previousRun: null };
+  }
+
+  async runWorkflow(taskId, options = {}) {
+    const task = this.getTask(taskId);
+    
+    if (!task.workflow) {
+      this.logger.error(`No workflow defined for task type: ${task.type}`);
+      return null;
+    }
+
+    if (task.status === 'blocked' || CLOSED_STATUSES.includes(task.status)) {
+      throw new TransitionError(`Cannot run workflow for ${taskId}: task is ${task.status}`);
+    }
+
+    const { startIndex, previousRun } = this.resolveStartStep(task, options);
+    const run = this.createRun(task, startIndex, previousRun);
+    this.saveRun(run);
+
+    const { initial, transitions } = this.getLifecycle();
+    if (task.status === initial && (transitions[initial] || []).includes('in_progress')) {
+      this.transitionTask(taskId, 'in_progress', { reason: `workflow run ${run.run} started` });
+    }
+
+    this.logger.log(`Starting workflow for ${taskId}: ${task.title} (run ${run.run})`);
+    this.logger.log('Project: {{PROJECT_NAME}}');
+    if (startIndex > 0) {
+      this.logger.log(`Starting at step ${startIndex + 1}`);
+    }
+    this.logger.log('='.repeat(50));
+
+    return this.executeRun(task, run, startIndex);
+  }
+
+  buildRunContext(task, captured = {}) {
+    return {
+      taskId: task.id,
+      taskSlug: this.slugify(task.title),
+      projectName: '{{PROJECT_NAME}}',
+      ...task,
+      ...captured
+    };
+  }
+
+  // The command (argv array or shell string) and extra environment for a step
+  buildStepCommand(step, context) {
+    // argv steps never touch a shell, so their values need no quoting
+    if (step.run) {
+      return { command: step.run.map(arg => this.interpolateCommand(arg, context, { raw: true }).command), env: {} };
+    }
+    return this.interpolateCommand(step.command, context, { raw: Boolean(step.rawInterpolation) });
+  }
+
+  findUnresolved(step, context) {
+    const templates = step.run || (step.command ? [step.command] : []);
+    return [...new Set(templates.flatMap(findPlaceholders))].filter(name => {
+      const value = this.resolveContextPath(context, name);
+      return value === undefined || value === null || value === '';
+    });
+  }
+
+  async executeRun(task, run, startIndex) {
+    const taskId = task.id;
+    const context = this.buildRunContext(task, run.captured);
+
+    for (const [index, step] of task.workflow.steps.entries()) {
+      if (index < startIndex) {
+        continue;
+      }
+
+      const record = run.steps[index];
+      this.logger.log(`\nStep ${index + 1}/${task.workflow.steps.length}: ${step.name}`);
+
+      if (step.when) {
+        let shouldRun;
+        try {
+          shouldRun = evaluateExpression(step.when, {
+            ...context,
+            steps: this.buildStepsContext(task, run)
+          });
+        } catch (error) {
+          this.logger.error(error.message);
+          return this.finishRun(run, 'failed', 1, index);
+        }
+
+        if (!shouldRun) {
+          this.logger.log(`Skipped (when: ${step.when})`);
+          record.status = 'skipped';
+          record.skipReason = `when: ${step.when}`;
+          this.saveRun(run);
+          this.emitStep(run, record);
+          continue;
+        }
+      }
+
+      record.status = 'running';
+      record.started = new Date().toISOString();
+      this.saveRun(run);
+      this.emitStep(run, record);
+      
+      if (step.manual) {
+        // Pause the run; approve/reject picks it up from here
+        record.status = 'waiting';
+        run.status = 'waiting';
+        this.saveRun(run);
+        this.emitStep(run, record);
+        this.logger.log('⚠️  Manual step - waiting for approval');
+        this.logger.log(`   Approve with: task-master approve ${taskId} ${index + 1}`);
+        this.logger.log(`   Reject with:  task-master reject ${taskId} ${index + 1} --reason "..."`);
+        return run;
+      } else if (step.command || step.run) {
+        const { command, env } = this.buildStepCommand(step, context);
+        this.logger.log(`> ${Array.isArray(command) ? command.map(shellQuote).join(' ') : command}`);
+        const unresolved = this.findUnresolved(step, context);
+        if (unresolved.length > 0) {
+          this.logger.error(`⚠️  Unresolved: ${unresolved.map(name => `\${${name}}`).join(', ')}`);
+        }
+
+        const { exitCode, stdout } = await this.runCommandStep(step, command, record, run, env);
+        this.logStepTime(taskId, run, record);
+        const failed = step.expectFailure ? exitCode === 0 : exitCode !== 0;
+
+        if (failed && step.continueOnError) {
+          this.logger.error('Step failed, continuing (continueOnError)');
+          record.continuedOnError = true;
+          this.closeStep(record, 'failed');
+          this.saveRun(run);
+          this.emitStep(run, record);
+          continue;
+        }
+
+        if (failed) {
+          this.logger.error(step.expectFailure ? 'Expected failure but command succeeded!' : 'Step failed!');
+          return this.finishRun(run, 'failed', exitCode || 1, index);
+        }
+
+        if (step.captureAs) {
+          try {
+            const value = this.parseCapturedOutput(stdout, step.captureFormat);
+            run.captured[step.captureAs] = value;
+            context[step.captureAs] = value;
+          } catch (error) {
+            this.logger.error(`Could not parse output of "${step.name}" as ${step.captureFormat}: ${error.message}`);
+            return this.finishRun(run, 'failed', 1, index);
+          }
+        }
+      }
+
+      this.closeStep(record, 'completed');
+      this.saveRun(run);
+      this.emitStep(run, record);
+    }
+
+    this.finishRun(run, 'completed', 0);
+    const current = this.getTask(taskId);
+    if (current.status !== 'completed') {
+      // Open subtasks or an unfinished template keep the task open; the run itself still succeeded
+      const openChildren = this.getChildren(taskId).filter(c => !CLOSED_STATUSES.includes(c.status)).length;
+      const openItems = this.getOpenChecklistItems(current).length + this.getMissingFields(current).length;
+      const outstanding = [
+        openChildren > 0 ? `${openChildren} open subtask(s)` : '',
+        openItems > 0 ? `${openItems} required field(s) or checklist item(s)` : ''
+      ].filter(Boolean);
+      if (outstanding.length > 0) {
+        this.logger.log(`${taskId} stays ${current.status}: ${outstanding.join(' and ')} outstanding`);
+      } else {
+        this.transitionTask(taskId, 'completed', { reason: `workflow run ${run.run} completed` });
+      }
+    }
+    this.logger.log(`\n✓ Workflow completed for ${taskId}`);
+    return run;
+  }
+
+  getCurrentUser() {
+    try {
+      const name = execSync('git config user.name', { cwd: this.cwd, encoding: 'utf8', stdio: 'pipe' }).trim();
+      if (name) {
+        return name;
+      }
+    } catch (error) {
+      // Not a git checkout or no user configured
+    }
+    return process.env.USER || process.env.USERNAME || 'unknown';
+  }
+
+  findStepIndex(run, stepRef) {
+    return run.steps.findIndex(record =>
+      String(record.index) === String(stepRef) ||
+      record.name === stepRef ||
+      record.key === stepRef
+    );
+  }
+
+  findWaitingStep(taskId, stepRef) {
+    const task = this.getTask(taskId);
+    const run = this.getLatestRun(taskId);
+
+    if (!run || run.status !== 'waiting') {
+      throw new NotFoundError(`${taskId} has no run waiting for approval`);
+    }
+
+    const index = this.findStepIndex(run, stepRef);
+    if (index === -1) {
+      throw new NotFoundError(`Unknown step "${stepRef}" in workflow for ${taskId}`);
+    }
+    if (run.steps[index].status !== 'waiting') {
+      throw new TransitionError(`Step ${index + 1} (${run.steps[index].name}) is not waiting for approval`);
+    }
+
+    return { task, run, index };
+  }
+
+  async approveStep(taskId, stepRef, { by = this.getCurrentUser(), comment = '' } = {}) {
+    const { task, run, index } = this.findWaitingStep(taskId, stepRef);
+    const record = run.steps[index];
+    const now = new Date().toISOString();
+
+    record.approval = { decision: 'approved', by, at: now, comment };
+    this.closeStep(record, 'completed');
+    run.status = 'running';
+    this.saveRun(run);
+    this.emitStep(run, record);
+
+    this.logger.log(`✓ Step ${index + 1} (${record.name}) approved by ${by}`);
+    return this.executeRun(task, run, index + 1);
+  }
+
+  rejectStep(taskId, stepRef, { by = this.getCurrentUser(), reason = '' } = {}) {
+    const { run, index } = this.findWaitingStep(taskId, stepRef);
+    const record = run.steps[index];
+
+    record.approval = { decision: 'rejected', by, at: new Date().toISOString(), comment: reason };
+    this.logger.error(`✗ Step ${index + 1} (${record.name}) rejected by ${by}${reason ? `: ${reason}` : ''}`);
+    return this.finishRun(run, 'failed', 1, index);
+  }
+
+  async runCommandStep(step, command, record, run, env = {}) {
+    const retries = step.retries || 0;
+    const baseDelay = step.retryDelayMs !== undefined ? step.retryDelayMs : DEFAULT_RETRY_DELAY_MS;
+    record.attempts = [];
+
+    for (let attempt = 1; attempt <= retries + 1; attempt++) {
+      const started = new Date();
+      const logPrefix = path.join(
+        String(run.run).padStart(4, '0'),
+        `${String(record.index).padStart(2, '0')}-${this.slugify(record.name)}.${attempt}`
+      );
+      const result = await this.execStep(command, {
+        timeoutMs: step.timeoutMs,
+        logPrefix: path.join(this.getRunsDir(run.taskId), logPrefix),
+        env
+      });
+
+      record.attempts.push({
+        attempt,
+        started: started.toISOString(),
+        ended: new Date().toISOString(),
+        durationMs: Date.now() - started.getTime(),
+        exitCode: result.exitCode,
+        timedOut: result.timedOut,
+        stdoutLog: `${logPrefix}.stdout.log`,
+        stderrLog: `${logPrefix}.stderr.log`
+      });
+      record.exitCode = result.exitCode;
+      this.saveRun(run);
+
+      if (result.timedOut) {
+        this.logger.error(`Step timed out after ${step.timeoutMs}ms`);
+      }
+
+      const succeeded = step.expectFailure ? result.exitCode !== 0 : result.exitCode === 0;
+      if (succeeded || attempt > retries) {
+        return result;
+      }
+
+      // Exponential backoff: delay, 2×delay, 4×delay, ...
+      const delay = baseDelay * 2 ** (attempt - 1);
+      this.logger.log(`Attempt ${attempt}/${retries + 1} failed, retrying in ${delay}ms...`);
+      await new Promise(resolve => setTimeout(resolve, delay));
+    }
+  }
+
+  execStep(command, { timeoutMs, logPrefix, env = {} }) {
+    // Output is teed: written to the log files and to any streams we were given
+    const stdoutLog = `${logPrefix}.stdout.log`;
+    const stderrLog = `${logPrefix}.stderr.log`;
+    fs.mkdirSync(path.dirname(logPrefix), { recursive: true });
+
+    const stdoutFd = fs.openSync(stdoutLog, 'w');
+    const stderrFd = fs.openSync(stderrLog, 'w');
+    const spawnOptions = {
+      cwd: this.cwd,
+      env: { ...process.env, ...env },
+      stdio: [this.stdin, 'pipe', 'pipe'],
+      // Its own process group, so a timeout reaches everything the step started
+      detached: Boolean(timeoutMs)
+    };
+
+    return new Promise((resolve, reject) => {
+      const stdoutChunks = [];
+      let timedOut = false;
+      let settled = false;
+      let timer = null;
+
+      const settle = (error, exitCode) => {
+        if (settled) {
+          return;
+        }
+        settled = true;
+        clearTimeout(timer);
+        fs.closeSync(stdoutFd);
+        fs.closeSync(stderrFd);
+        if (error) {
+          reject(error);
+        } else {
+          resolve({ exitCode, timedOut, stdout: Buffer.concat(stdoutChunks).toString('utf8') });
+        }
+      };
+
+      const child = Array.isArray(command)
+        ? spawn(command[0], command.slice(1), spawnOptions)
+        : spawn(command, { ...spawnOptions, shell: true });
+
+      child.stdout.on('data', chunk => {
+        stdoutChunks.push(chunk);
+        fs.writeSync(stdoutFd, chunk);
+        if (this.stdout) {
+          this.stdout.write(chunk);
+        }
+      });
+      child.stderr.on('data', chunk => {
+        fs.writeSync(stderrFd, chunk);
+        if (this.stderr) {
+          this.stderr.write(chunk);
+        }
+      });
+
+      child.on('error', error => {
+        if (error.code !== 'ENOENT') {
+          settle(error);
+          return;
+        }
+        // 127 mirrors the shell's "command not found"
+        const message = `${command[0]}: command not found\n`;
+        fs.writeSync(stderrFd, message);
+        if (this.stderr) {
+          this.stderr.write(message);
+        }
+        settle(null, 127);
+      });
+
+      child.on('close', code => {
+        // 124 mirrors coreutils `timeout`
+        if (timedOut) {
+          settle(null, 124);
+        } else {
+          settle(null, typeof code === 'number' ? code : 1);
+        }
+      });
+
+      const killGroup = signal => {
+        try {
+          process.kill(-child.pid, signal);
+        } catch (error) {
+          // The whole group has already exited
+        }
+      };
+
+      if (timeoutMs) {
+        timer = setTimeout(() => {
+          timedOut = true;
+          killGroup('SIGTERM');
+          // Also covers children that outlive the shell or ignore SIGTERM
+          setTimeout(() => killGroup('SIGKILL'), STEP_KILL_GRACE_MS);
+          // Background processes the command left behind may still hold the pipes open
+          child.stdout.destroy();
+          child.stderr.destroy();
+        }, timeoutMs);
+      }
+    });
+  }
+
+  parseCapturedOutput(stdout, format = 'text') {
+    const trimmed = stdout.trim();
+    return format === 'json' ? JSON.parse(trimmed) : trimmed;
+  }
+
+  closeStep(record, status) {
+    record.status = status;
+    record.ended = new Date().toISOString();
+    record.durationMs = record.started
+      ? new Date(record.ended).getTime() - new Date(record.started).getTime()
+      : null;
+  }
+
+  finishRun(run, status, exitCode, failedIndex = null) {
+    const now = new Date().toISOString();
+
+    if (failedIndex !== null) {
+      this.closeStep(run.steps[failedIndex], 'failed');
+      this.logger.error(`Run ${run.run} stopped at step ${failedIndex + 1}.`);
+      this.logger.error(`Resume with: task-master run ${run.taskId} --resume`);
+    }
+
+    run.status = status;
+    run.ended = now;
+    run.exitCode = exitCode;
+    this.saveRun(run);
+    if (failedIndex !== null) {
+      this.emitStep(run, run.steps[failedIndex]);
+    }
+    return run;
+  }
+
+  emitStep(run, record) {
+    this.emit('workflow:step', { taskId: run.taskId, run: run.run, step: { ...record } });
+  }
+
+  /**
+   * Fills ${name} placeholders in a shell command, including dotted paths into
+   * captured JSON. Plain words (IDs, slugs, paths) are pasted in; any other
+   * value goes into `env` and the command references it as "${TM_name}", so
+   * no value is ever parsed as shell code, whether it lands bare, in quotes,
+   * in $(...) or in backticks. With `words`, arrays become one word per item.
+   * Returns { command, env }.
+   */
+  interpolateCommand(command, context, { raw = false, words = false } = {}) {
+    // Replace template variables
+    command = command.replace(/\{\{PROJECT_NAME\}\}/g, '{{PROJECT_NAME}}');
+
+    const env = {};
+    const bind = (name, value) => {
+      const base = `TM_${name.replace(/\W/g, '_')}`;
+      let variable = base;
+      for (let n = 2; variable in env && env[variable] !== value; n++) {
+        variable = `${base}_${n}`;
+      }
+      env[variable] = value;
+      return variable;
+    };
+    // How a value is spliced in depends on the innermost quoting context
+    const reference = (name, value, context) => {
+      if (raw || PLAIN_SHELL_WORD.test(value)) {
+        return value;
+      }
+      const variable = bind(name, value);
+      if (context === '"') {
+        return `\${${variable}}`;
+      }
+      return context === "'" ? `'"\${${variable}}"'` : `"\${${variable}}"`;
+    };
+
+    // Contexts: "'" and '"' quotes, '$(' command substitutions (with their
+    // open parenthesis count), '`' backticks and the bare top level
+    const stack = [{ kind: 'bare' }];
+    const placeholder = /\$\{([\w.]+)\}/y;
+    let result = '';
+
+    for (let i = 0; i < command.length; i++) {
+      const frame = stack[stack.length - 1];
+      placeholder.lastIndex = i;
+      const match = placeholder.exec(command);
+      if (match) {
+        const value = this.resolveContextPath(context, match[1]);
+        if (words && Array.isArray(value)) {
+          // One shell word per item, e.g. file lists; inside quotes they stay one word
+          result += frame.kind === '"' || frame.kind === "'"
+            ? reference(match[1], value.join(' '), frame.kind)
+            : value.map((item, n) => reference(`${match[1]}_${n}`, String(item), frame.kind)).join(' ');
+        } else {
+          result += value === undefined || value === null || value === ''
+            ? match[0]
+            : reference(match[1], typeof value === 'object' ? JSON.stringify(value) : String(value), frame.kind);
+        }
+        i += match[0].length - 1;
+        continue;
+      }
+
+      const char = command[i];
+      const opensSubstitution = char === '$' && command[i + 1] === '(';
+      result += char;
+
+      if (frame.kind === "'") {
+        if (char === "'") {
+          stack.pop();
+        }
+      } else if (char === '\\' && i + 1 < command.length) {
+        result += command[++i];
+      } else if (opensSubstitution) {
+        result += command[++i];
+        stack.push({ kind: '$(', depth: 0 });
+      } else if (char === '`') {
+        if (frame.kind === '`') {
+          stack.pop();
+        } else {
+          stack.push({ kind: '`' });
+        }
+      } else if (frame.kind === '"') {
+        if (char === '"') {
+          stack.pop();
+        }
+      } else if (char === "'" || char === '"') {
+        stack.push({ kind: char });
+      } else if (frame.kind === '$(' && char === '(') {
+        frame.depth++;
+      } else if (frame.kind === '$(' && char === ')') {
+        if (frame.depth === 0) {
+          stack.pop();
+        } else {
+          frame.depth--;
+        }
+      }
+    }
+
+    return { command: result, env };
+  }
+
+  resolveContextPath(context, key) {
+    return key.split('.').reduce(
+      (value, part) => (value !== undefined && value !== null ? value[part] : undefined),
+      context
+    );
+  }
+
+  /**
+   * What runWorkflow would execute for a task, without running anything.
+   * Values captured by earlier steps only exist at run time and are listed
+   * under `runtime` rather than `unresolved`.
+   */
+  planWorkflow(taskId) {
+    const task = this.getTask(taskId);
+    if (!task.workflow) {
+      throw new ValidationError(`No workflow defined for task type: ${task.type}`);
+    }
+
+    const context = this.buildRunContext(task);
+    const captured = new Set();
+
+    return task.workflow.steps.map((step, index) => {
+      const planned = {
+        index: index + 1,
+        name: step.name,
+        manual: Boolean(step.manual),
+        when: step.when || null,
+        command: null,
+        env: {},
+        unresolved: [],
+        runtime: []
+      };
+
+      if (step.command || step.run) {
+        Object.assign(planned, this.buildStepCommand(step, context));
+        this.findUnresolved(step, context).forEach(name => {
+          planned[captured.has(name.split('.')[0]) ? 'runtime' : 'unresolved'].push(name);
+        });
+      }
+
+      if (step.captureAs) {
+        captured.add(step.captureAs);
+      }
+      return planned;
+    });
+  }
+
+  /**
+   * Static checks over every configured workflow: variables no task or
+   * earlier step provides and blank commands are errors, programs missing
+   * from PATH are warnings (they may only exist in CI).
+   */
+  lintWorkflows() {
+    const problems = [];
+    const pathDirs = (process.env.PATH || '').split(path.delimiter).filter(Boolean);
+    const isExecutable = file => {
+      try {
+        fs.accessSync(file, fs.constants.X_OK);
+        return fs.statSync(file).isFile();
+      } catch (error) {
+        return false;
+      }
+    };
+    const onPath = program => (program.includes('/')
+      ? isExecutable(path.resolve(this.cwd, program))
+      : pathDirs.some(dir => isExecutable(path.join(dir, program))));
+
+    Object.entries(this.config.workflows || {}).forEach(([type, workflow]) => {
+      const templateFields = Object.keys(this.getTemplate(type).fields);
+      const captured = new Set();
+
+      workflow.steps.forEach((step, index) => {
+        const report = (level, message) => problems.push({ level, workflow: type, step: index + 1, name: step.name, message });
+        const templates = step.run || (step.command !== undefined ? [step.command] : []);
+
+        if (!step.manual && templates.every(template => !template.trim())) {
+          report('error', 'empty command');
+        }
+
+        templates.flatMap(findPlaceholders).forEach(name => {
+          const [head, child] = name.split('.');
+          if (captured.has(head)) {
+            return;
+          }
+          if (step.captureAs === head || workflow.steps.slice(index + 1).some(later => later.captureAs === head)) {
+            report('error', `\${${name}} is captured by this or a later step`);
+          } else if (!RUN_CONTEXT_VARIABLES.includes(head)) {
+            report('error', `unknown variable \${${name}}`);
+          } else if (head === 'fields' && child && !templateFields.includes(child)) {
+            report('error', `unknown variable \${${name}} (no "${child}" field in the ${type} template)`);
+          }
+        });
+
+        const programs = step.run ? [step.run[0]] : listCommandPrograms(step.command || '');
+        programs
+          .filter(program => program && !program.includes('${') && !SHELL_BUILTINS.includes(program))
+          .forEach(program => {
+            if (!onPath(program)) {
+              report('warning', `"${program}" not found${program.includes('/') ? '' : ' on PATH'}`);
+            }
+          });
+
+        if (step.captureAs) {
+          captured.add(step.captureAs);
+        }
+      });
+    });
+
+    return problems;
+  }
+
+  git(args) {
+    return execFileSync('git', args, { cwd: this.cwd, encoding: 'utf8', stdio: 'pipe' }).trim();
+  }
+
+  getBranchName(task) {
+    const gitConfig = this.config.git || {};
+    const prefix = (gitConfig.branchPrefix || {})[task.type] || task.type;
+    const slug = this.slugify(task.title).slice(0, 50).replace(/-$/, '');
+    return `${prefix}/${task.id}-${slug}`;
+  }
+
+  createBranch(taskId) {
+    const task = this.getTask(taskId);
+    const branch = this.getBranchName(task);
+
+    let exists = true;
+    try {
+      this.git(['rev-parse', '--verify', '--quiet', `refs/heads/${branch}`]);
+    } catch (error) {
+      exists = false;
+    }
+
+    this.git(exists ? ['checkout', branch] : ['checkout', '-b', branch]);
+    if (task.branch !== branch) {
+      this.updateTask(taskId, { branch });
+    }
+    return { branch, created: !exists };
+  }
+
+  getTrailerKey() {
+    return (this.config.git || {}).trailer || 'Task';
+  }
+
+  detectTaskIdFromBranch() {
+    let branch;
+    try {
+      branch = this.git(['rev-parse', '--abbrev-ref', 'HEAD']);
+    } catch (error) {
+      return null;
+    }
+    const match = TASK_ID_PATTERN.exec(branch);
+    return match ? match[1] : null;
+  }
+
+  prepareCommitMessage(messageFile, source = '') {
+    // Merges and squashes keep the trailers of the commits they carry
+    if (source === 'merge' || source === 'squash') {
+      return null;
+    }
+
+    const taskId = process.env.TASK_MASTER_TASK || this.detectTaskIdFromBranch();
+    if (!taskId) {
+      return null;
+    }
+
+    this.git([
+      'interpret-trailers',
+      '--in-place',
+      '--if-exists', 'addIfDifferent',
+      '--trailer', `${this.getTrailerKey()}: ${taskId}`,
+      messageFile
+    ]);
+    return taskId;
+  }
+
+  getLinkedCommits(taskId) {
+    let output;
+    try {
+      output = this.git([
+        'log', '--all', '-E',
+        `--grep=^${this.getTrailerKey()}: ${taskId}$`,
+        '--date=short',
+        '--format=%h%x09%ad%x09%an%x09%s'
+      ]);
+    } catch (error) {
+      // Not a git checkout
+      return [];
+    }
+
+    return output.split('\n').filter(Boolean).map(line => {
+      const [hash, date, author, subject] = line.split('\t');
+      return { hash, date, author, subject };
+    });
+  }
+
+  getImportConfig() {
+    const categories = Object.keys(this.config.taskCategories);
+    return {
+      todoType: categories[0],
+      fixmeType: categories.includes('bugfix') ? 'bugfix' : categories[0],
+      checklistType: categories[0],
+      ...(this.config.import || {})
+    };
+  }
+
+  importFingerprint(kind, file, title) {
+    // Line numbers are left out so edits above a TODO don't duplicate it
+    return crypto.createHash('sha1')
+      .update(`${kind}\0${file}\0${title.trim().toLowerCase()}`)
+      .digest('hex')
+      .slice(0, 16);
+  }
+
+  isImportSkipped(file) {
+    // Task master's own storage quotes task titles, which would re-import them
+    const absolute = path.resolve(this.cwd, file);
+    return file.split(/[\\/]/).some(segment => IMPORT_SKIP_DIRS.includes(segment)) ||
+      absolute === this.tasksDir ||
+      absolute.startsWith(this.tasksDir + path.sep);
+  }
+
+  listSourceFiles(roots) {
+    const files = [];
+    for (const root of roots) {
+      try {
+        const listed = this.git(['ls-files', '--cached', '--others', '--exclude-standard', '--', root]);
+        files.push(...listed.split('\n').filter(file => file && !this.isImportSkipped(file)));
+        continue;
+      } catch (error) {
+        // Not a git checkout, walk the tree instead
+      }
+
+      const walk = dir => {
+        for (const entry of fs.readdirSync(dir, { withFileTypes: true })) {
+          const entryPath = path.join(dir, entry.name);
+          if (entry.isDirectory()) {
+            if (!this.isImportSkipped(path.relative(this.cwd, entryPath))) {
+              walk(entryPath);
+            }
+          } else if (entry.isFile()) {
+            files.push(path.relative(this.cwd, entryPath));
+          }
+        }
+      };
+      const rootPath = path.resolve(this.cwd, root);
+      if (fs.statSync(rootPath).isDirectory()) {
+        walk(rootPath);
+      } else {
+        files.push(path.relative(this.cwd, rootPath));
+      }
+    }
+    return [...new Set(files)];
+  }
+
+  scanTodos(roots) {
+    const { todoType, fixmeType } = this.getImportConfig();
+    const found = [];
+
+    for (const file of this.listSourceFiles(roots)) {
+      let content;
+      try {
+        content = fs.readFileSync(path.resolve(this.cwd, file));
+      } catch (error) {
+        continue;
+      }
+      // Skip binary files
+      if (content.includes(0)) {
+        continue;
+      }
+
+      content.toString('utf8').split('\n').forEach((text, index) => {
+        const match = TODO_PATTERN.exec(text);
+        if (!match) {
+          return;
+        }
+        const [, marker, tag, title] = match;
+        const type = tag && this.config.taskCategories[tag]
+          ? tag
+          : (marker === 'FIXME' ? fixmeType : todoType);
+        found.push({ kind: 'todo', marker, type, title, file, line: index + 1 });
+      });
+    }
+
+    return found;
+  }
+
+  scanChecklists(files, type) {
+    const found = [];
+
+    for (const file of files) {
+      const relative = path.relative(this.cwd, path.resolve(this.cwd, file));
+      fs.readFileSync(path.resolve(this.cwd, file), 'utf8').split('\n').forEach((text, index) => {
+        const match = CHECKLIST_PATTERN.exec(text);
+        if (match) {
+          found.push({ kind: 'checklist', type, title: match[1], file: relative, line: index + 1 });
+        }
+      });
+    }
+
+    return found;
+  }
+
+  importItems(items, { dryRun = false } = {}) {
+    const known = new Set(
+      this.loadTaskSummaries()
+        .filter(t => t.source && t.source.fingerprint)
+        .map(t => t.source.fingerprint)
+    );
+    const created = [];
+    const skipped = [];
+
+    for (const item of items) {
+      const fingerprint = this.importFingerprint(item.kind, item.file, item.title);
+      if (known.has(fingerprint)) {
+        skipped.push(item);
+        continue;
+      }
+      known.add(fingerprint);
+
+      if (dryRun) {
+        created.push({ ...item, id: null });
+        continue;
+      }
+
+      // Required template fields are left for triage; completion enforces them
+      const task = this.createTask(item.type, item.title, `Imported from ${item.file}:${item.line}`, {
+        quiet: true,
+        requireFields: false,
+        source: { kind: item.kind, file: item.file, line: item.line, fingerprint }
+      });
+      created.push({ ...item, id: task.id });
+    }
+
+    return { created, skipped };
+  }
+
+  importTodos(roots = ['.'], options = {}) {
+    return this.importItems(this.scanTodos(roots), options);
+  }
+
+  importChecklists(files, options = {}) {
+    const type = options.type || this.getImportConfig().checklistType;
+    if (!this.config.taskCategories[type]) {
+      throw new ValidationError(`Unknown task type: ${type}`);
+    }
+    return this.importItems(this.scanChecklists(files, type), options);
+  }
+
+  getTimersFile() {
+    return path.join(this.tasksDir, 'timers.json');
+  }
+
+  loadTimers() {
+    const timersFile = this.getTimersFile();
+    return fs.existsSync(timersFile) ? JSON.parse(fs.readFileSync(timersFile, 'utf8')) : {};
+  }
+
+  saveTimers(timers) {
+    writeJsonAtomic(this.getTimersFile(), timers);
+  }
+
+  getActiveTimer(user = this.getCurrentUser()) {
+    return this.loadTimers()[user] || null;
+  }
+
+  logTime(taskId, entry) {
+    return this.updateTask(taskId, task => ({ timeLog: [...(task.timeLog || []), entry] }));
+  }
+
+  logStepTime(taskId, run, record) {
+    // Only command time counts; retry backoff and approval waits are excluded
+    const attempts = record.attempts || [];
+    if (attempts.length === 0) {
+      return;
+    }
+    this.logTime(taskId, {
+      start: attempts[0].started,
+      end: attempts[attempts.length - 1].ended,
+      seconds: attempts.reduce((sum, a) => sum + a.durationMs, 0) / 1000,
+      source: 'workflow',
+      run: run.run,
+      step: record.name,
+      user: this.getCurrentUser()
+    });
+  }
+
+  startTimer(taskId, user = this.getCurrentUser()) {
+    this.getTask(taskId);
+
+    return this.withLock(this.getTimersFile(), () => {
+      // One active timer per user: starting another stops the current one
+      const active = this.getActiveTimer(user);
+      const stopped = active ? this.stopTimer(user) : null;
+
+      const timers = this.loadTimers();
+      timers[user] = { taskId, started: new Date().toISOString() };
+      this.saveTimers(timers);
+      return { timer: timers[user], stopped };
+    });
+  }
+
+  stopTimer(user = this.getCurrentUser()) {
+    return this.withLock(this.getTimersFile(), () => {
+      const timers = this.loadTimers();
+      const active = timers[user];
+      if (!active) {
+        throw new NotFoundError(`No active timer for ${user}`);
+      }
+
+      const end = new Date();
+      const entry = {
+        start: active.started,
+        end: end.toISOString(),
+        seconds: Math.round((end.getTime() - new Date(active.started).getTime()) / 1000),
+        source: 'timer',
+        user
+      };
+
+      delete timers[user];
+      this.saveTimers(timers);
+      this.logTime(active.taskId, entry);
+      return { taskId: active.taskId, ...entry };
+    });
+  }
+
+  timeReport({ since, until } = {}) {
+    const from = since ? parseDateFilter(since).getTime() : -Infinity;
+    const to = until ? parseDateFilter(until, { endOfDay: true }).getTime() : Infinity;
+    const report = { total: 0, byType: {}, byDay: {}, byTask: {} };
+
+    for (const task of this.loadAllTasks()) {
+      for (const entry of task.timeLog || []) {
+        const start = new Date(entry.start);
+        if (start.getTime() < from || start.getTime() > to) {
+          continue;
+        }
+        const day = localDateString(start);
+        report.total += entry.seconds;
+        report.byType[task.type] = (report.byType[task.type] || 0) + entry.seconds;
+        report.byDay[day] = (report.byDay[day] || 0) + entry.seconds;
+        report.byTask[task.id] = (report.byTask[task.id] || 0) + entry.seconds;
+      }
+    }
+
+    return report;
+  }
+
+  formatDuration(seconds) {
+    const total = Math.round(seconds);
+    const hours = Math.floor(total / 3600);
+    const minutes = Math.floor((total % 3600) / 60);
+    if (hours > 0) {
+      return `${hours}h ${String(minutes).padStart(2, '0')}m`;
+    }
+    return minutes > 0 ? `${minutes}m ${String(total % 60).padStart(2, '0')}s` : `${total}s`;
+  }
+
+  getActivityFile(taskId) {
+    return path.join(this.tasksDir, taskId, 'activity.jsonl');
+  }
+
+  /**
+   * The task an agent is working on right now: TASK_MASTER_TASK, then the
+   * user's running timer, then the task named by the branch, then the most
+   * recently updated in_progress task.
+   */
+  getActiveTask(user = this.getCurrentUser()) {
+    const tasks = this.loadTaskSummaries();
+    const timer = this.getActiveTimer(user);
+    const candidates = [process.env.TASK_MASTER_TASK, timer && timer.taskId, this.detectTaskIdFromBranch()];
+
+    for (const taskId of candidates.filter(Boolean)) {
+      const task = tasks.find(t => t.id === taskId);
+      if (task && !CLOSED_STATUSES.includes(task.status)) {
+        return this.getTask(task.id);
+      }
+    }
+
+    const active = tasks
+      .filter(t => t.status === 'in_progress')
+      .sort((a, b) => b.updated.localeCompare(a.updated))[0];
+    return active ? this.getTask(active.id) : null;
+  }
+
+  summarizeHookPayload(payload) {
+    const input = payload.tool_input || {};
+    const root = payload.cwd || this.cwd;
+    const files = HOOK_PATH_FIELDS
+      .filter(field => typeof input[field] === 'string' && input[field])
+      .map(field => {
+        const relative = path.relative(this.cwd, path.resolve(root, input[field]));
+        return relative.startsWith('..') ? input[field] : relative || '.';
+      });
+
+    const entry = {
+      at: new Date().toISOString(),
+      event: payload.hook_event_name || null,
+      tool: payload.tool_name || null,
+      files,
+      session: payload.session_id || null
+    };
+
+    // Shell commands and search patterns, cut down to keep the journal compact
+    ['command', 'pattern'].forEach(field => {
+      if (typeof input[field] === 'string') {
+        entry[field] = input[field].length > HOOK_COMMAND_MAX_LENGTH
+          ? `${input[field].slice(0, HOOK_COMMAND_MAX_LENGTH - 1)}…`
+          : input[field];
+      }
+    });
+    return entry;
+  }
+
+  recordActivity(payload) {
+    if (!payload || typeof payload !== 'object' || !payload.tool_name) {
+      throw new ValidationError('Hook payload must be a JSON object with tool_name');
+    }
+
+    const task = this.getActiveTask();
+    if (!task) {
+      return null;
+    }
+
+    // One JSON line per tool call; appends are cheap and never rewrite the task
+    const entry = this.summarizeHookPayload(payload);
+    const activityFile = this.getActivityFile(task.id);
+    fs.mkdirSync(path.dirname(activityFile), { recursive: true });
+    fs.appendFileSync(activityFile, JSON.stringify(entry) + '\n');
+    return { taskId: task.id, entry };
+  }
+
+  listActivity(taskId, { session, limit } = {}) {
+    this.getTask(taskId);
+    const activityFile = this.getActivityFile(taskId);
+    if (!fs.existsSync(activityFile)) {
+      return [];
+    }
+
+    // A line cut short by a crash is skipped rather than failing the listing
+    const entries = fs.readFileSync(activityFile, 'utf8')
+      .split('\n')
+      .filter(Boolean)
+      .map(line => {
+        try {
+          return JSON.parse(line);
+        } catch (error) {
+          return null;
+        }
+      })
+      .filter(entry => entry && (!session || (entry.session || '').startsWith(session)));
+
+    return limit ? entries.slice(-Number(limit)) : entries;
+  }
+
+  formatStatusLabel(status) {
+    const label = status.replace(/_/g, ' ');
+    return label.charAt(0).toUpperCase() + label.slice(1);
+  }
+
+  getStagedFiles() {
+    return this.git(['diff', '--cached', '--name-only', '--diff-filter=ACMR', '-z'])
+      .split('\0')
+      .filter(Boolean);
+  }
+
+  /**
+   * Runs the TDD Foundation check and every configured check concurrently;
+   * a check waits only for the checks in its dependsOn. With `staged`, each
+   * check sees the staged files matching its `files` pattern as
+   * ${stagedFiles} and is skipped when none match.
+   */
+  async runPreCommitChecks({ staged = false } = {}) {
+    const preCommit = this.config.automations.preCommit;
+    if (!preCommit.enabled) {
+      return { passed: true, results: [] };
+    }
+
+    const stagedFiles = staged ? this.getStagedFiles() : null;
+    if (staged && stagedFiles.length === 0) {
+      this.logger.log('No staged files - nothing to check');
+      return { passed: true, results: [] };
+    }
+
+    const checks = [TDD_FOUNDATION_CHECK, ...preCommit.checks];
+    this.logger.log(
+      `Running ${checks.length} pre-commit checks for {{PROJECT_NAME}}` +
+      (staged ? ` on ${stagedFiles.length} staged file(s)...` : '...')
+    );
+
+    const byName = new Map(checks.map(check => [check.name, check]));
+    const pending = new Map();
+    const start = check => {
+      if (!pending.has(check.name)) {
+        pending.set(check.name, Promise.all((check.dependsOn || []).map(name => start(byName.get(name))))
+          .then(deps => {
+            // A dependency skipped for lack of matching files doesn't block; one
+            // that failed, or was skipped because of a failure, does
+            const blocker = deps.find(dep => dep.status === 'failed' || dep.blocked);
+            return blocker
+              ? { name: check.name, status: 'skipped', blocked: true, reason: `${blocker.name} ${blocker.status}` }
+              : this.runCheck(check, stagedFiles);
+          }));
+      }
+      return pending.get(check.name);
+    };
+    const results = await Promise.all(checks.map(start));
+
+    // Output is buffered per check so parallel runs don't interleave
+    results.filter(result => result.status === 'failed').forEach(result => {
+      this.logger.error(`\n✗ ${result.name} (exit ${result.exitCode})`);
+      if (result.output.trim()) {
+        this.logger.error(result.output.replace(/\n$/, ''));
+      }
+    });
+
+    const width = Math.max(5, ...results.map(result => result.name.length)) + 2;
+    const icons = { passed: '✓', failed: '✗', skipped: '-' };
+    this.logger.log(`\n${'Check'.padEnd(width)}${'Result'.padEnd(10)}Time`);
+    results.forEach(result => {
+      const time = result.durationMs !== undefined ? `${(result.durationMs / 1000).toFixed(1)}s` : `(${result.reason})`;
+      this.logger.log(`${result.name.padEnd(width)}${`${icons[result.status]} ${result.status}`.padEnd(10)}${time}`);
+    });
+
+    const failed = results.filter(result => result.status === 'failed').length;
+    this.logger.log(failed === 0
+      ? `\n✓ All pre-commit checks passed`
+      : `\n✗ ${failed} of ${results.length} pre-commit checks failed`);
+    return { passed: failed === 0, results };
+  }
+
+  runCheck(check, stagedFiles) {
+    let files = stagedFiles || [];
+    if (stagedFiles && check.files) {
+      const pattern = new RegExp(check.files);
+      files = stagedFiles.filter(file => pattern.test(file));
+      if (files.length === 0) {
+        return Promise.resolve({ name: check.name, status: 'skipped', reason: 'no matching staged files' });
+      }
+    }
+
+    const { command, env } = this.interpolateCommand(check.command, { stagedFiles: files }, { words: true });
+    const started = Date.now();
+
+    return new Promise(resolve => {
+      let output = '';
+      const child = spawn(command, {
+        cwd: this.cwd,
+        env: { ...process.env, ...env },
+        shell: true,
+        stdio: ['ignore', 'pipe', 'pipe']
+      });
+      child.stdout.on('data', chunk => { output += chunk; });
+      child.stderr.on('data', chunk => { output += chunk; });
+      child.on('error', error => { output += `${error.message}\n`; });
+      child.on('close', code => {
+        resolve({
+          name: check.name,
+          status: code === 0 ? 'passed' : 'failed',
+          exitCode: code === null ? 1 : code,
+          durationMs: Date.now() - started,
+          command,
+          output
+        });
+      });
+    });
+  }
+
+  installHooks({ script = 'scripts/task-master.js', force = false } = {}) {
+    // --git-path honours core.hooksPath
+    const hooksDir = path.resolve(this.cwd, this.git(['rev-parse', '--git-path', 'hooks']));
+    if (fs.existsSync(hooksDir) && !fs.statSync(hooksDir).isDirectory()) {
+      throw new ValidationError(`Git hooks path ${hooksDir} is not a directory (check core.hooksPath)`);
+    }
+    fs.mkdirSync(hooksDir, { recursive: true });
+
+    const hooks = {
+      'pre-commit': `node ${shellQuote(script)} precommit --staged`,
+      'prepare-commit-msg': `node ${shellQuote(script)} prepare-commit-msg "$1" "$2"`
+    };
+
+    return Object.entries(hooks).map(([hook, command]) => {
+      const hookFile = path.join(hooksDir, hook);
+      const exists = fs.existsSync(hookFile);
+      if (exists && !force && !fs.readFileSync(hookFile, 'utf8').includes(HOOK_MARKER)) {
+        return { hook, file: hookFile, status: 'skipped' };
+      }
+      fs.writeFileSync(hookFile, `#!/bin/sh\n${HOOK_MARKER}\nexec ${command}\n`, { mode: 0o755 });
+      fs.chmodSync(hookFile, 0o755);
+      return { hook, file: hookFile, status: exists ? 'updated' : 'installed' };
+    });
+  }
+
+  groupByStatus(tasks) {
+    // Lifecycle order first, then any statuses the lifecycle doesn't know
+    const statuses = Object.keys(this.getLifecycle().transitions);
+    const extra = [...new Set(tasks.map(t => t.status))].filter(s => !statuses.includes(s));
+    return [...statuses, ...extra]
+      .map(status => ({ status, tasks: tasks.filter(t => t.status === status) }));
+  }
+
+  exportTasks(format = 'json', filter = {}) {
+    const tasks = this.listTasks(filter).map(task => ({ ...this.getTask(task.id), ...task }));
+    const exporters = {
+      json: () => JSON.stringify(tasks, null, 2),
+      markdown: () => this.exportMarkdown(tasks),
+      csv: () => this.exportCsv(tasks),
+      html: () => this.exportHtml(tasks),
+      mermaid: () => this.exportMermaid(tasks)
+    };
+
+    if (!exporters[format]) {
+      throw new ValidationError(`Unknown export format: ${format} (available: ${Object.keys(exporters).join(', ')})`);
+    }
+    return exporters[format]();
+  }
+
+  exportMarkdown(tasks) {
+    // Group by status in lifecycle order so the export shows where work is
+    const sections = this.groupByStatus(tasks).filter(section => section.tasks.length > 0);
+
+    return `# {{PROJECT_NAME}} Tasks\n\n` +
+      sections.map(section =>
+        `## ${this.formatStatusLabel(section.status)} (${section.tasks.length})\n\n` +
+        section.tasks.map(task => {
+          const history = task.statusHistory || [];
+          const since = history.length > 0 ? history[history.length - 1].at : task.created;
+          const last = history[history.length - 1];
+          return `### ${task.id}: ${task.title}\n` +
+            `- Type: ${task.type}\n` +
+            `- Status: ${task.status} (since ${since})\n` +
+            `${last && last.reason ? `- Reason: ${last.reason}\n` : ''}` +
+            `- Created: ${task.created}\n` +
+            `${task.description ? `- Description: ${task.description}\n` : ''}` +
+            this.formatMarkdownNotes(task.notes) +
+            '\n';
+        }).join('')
+      ).join('\n');
+  }
+
+  formatMarkdownNotes(notes = []) {
+    if (notes.length === 0) {
+      return '';
+    }
+    // Continuation lines are indented so multi-line notes stay in their item
+    return `- Notes:\n` + notes.map(note =>
+      `  - ${note.at} **${note.author}**: ${note.text.split('\n').join('\n    ')}\n`
+    ).join('');
+  }
+
+  exportCsv(tasks) {
+    const columns = ['id', 'type', 'title', 'status', 'parent', 'dependsOn', 'created', 'updated', 'description'];
+    const escape = value => {
+      const text = Array.isArray(value) ? value.join(';') : String(value === undefined || value === null ? '' : value);
+      return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    };
+
+    return [
+      columns.join(','),
+      ...tasks.map(task => columns.map(column => escape(task[column])).join(','))
+    ].join('\r\n') + '\r\n';
+  }
+
+  exportHtml(tasks) {
+    const escape = text => String(text)
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;');
+
+    const columns = this.groupByStatus(tasks).map(({ status, tasks: columnTasks }) => `
+    <section class="column">
+      <h2>${escape(this.formatStatusLabel(status))} <span class="count">${columnTasks.length}</span></h2>
+${columnTasks.map(task => `      <article class="card type-${escape(this.slugify(task.type))}">
+        <div class="id">${escape(task.id)}</div>
+        <div class="title">${escape(task.title)}</div>
+        <div class="meta">${escape(task.type)}${task.progress ? ` · ${task.progress.done}/${task.progress.total} subtasks` : ''}${task.blockedBy.length > 0 ? ` · blocked by ${escape(task.blockedBy.join(', '))}` : ''}</div>
+      </article>`).join('\n')}
+    </section>`).join('');
+
+    // Self-contained: inline styles only, no scripts or external assets
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="utf-8">
+  <title>{{PROJECT_NAME}} Tasks</title>
+  <style>
+    body { font-family: -apple-system, "Segoe UI", Helvetica, Arial, sans-serif; margin: 0; padding: 24px; background: #f4f5f7; color: #172b4d; }
+    h1 { margin: 0 0 16px; font-size: 22px; }
+    .board { display: flex; gap: 16px; align-items: flex-start; overflow-x: auto; }
+    .column { flex: 0 0 260px; background: #ebecf0; border-radius: 6px; padding: 8px; }
+    .column h2 { font-size: 14px; text-transform: uppercase; margin: 4px 4px 8px; }
+    .count { color: #5e6c84; font-weight: normal; }
+    .card { background: #fff; border-radius: 4px; padding: 8px; margin-bottom: 8px; box-shadow: 0 1px 1px rgba(9, 30, 66, 0.25); border-left: 4px solid #579dff; }
+    .id { font-size: 11px; color: #5e6c84; font-family: monospace; }
+    .title { margin: 4px 0; }
+    .meta { font-size: 12px; color: #5e6c84; }
+    .type-bugfix { border-left-color: #e2483d; }
+    .type-refactor { border-left-color: #9f8fef; }
+  </style>
+</head>
+<body>
+  <h1>{{PROJECT_NAME}} Tasks</h1>
+  <div class="board">${columns}
+  </div>
+  <p class="meta">Generated ${escape(new Date().toISOString())}</p>
+</body>
+</html>
+`;
+  }
+
+  exportMermaid(tasks) {
+    const nodeId = id => id.replace(/\W/g, '_');
+    const label = text => String(text)
+      .replace(/"/g, '#quot;')
+      .replace(/</g, '#lt;')
+      .replace(/>/g, '#gt;');
+    const ids = new Set(tasks.map(t => t.id));
+    const lines = ['flowchart LR'];
+
+    // One subgraph per task type, nested subgraphs per status
+    for (const type of [...new Set(tasks.map(t => t.type))]) {
+      lines.push(`  subgraph type_${nodeId(type)}["${label(type)}"]`);
+      for (const { status, tasks: statusTasks } of this.groupByStatus(tasks.filter(t => t.type === type))) {
+        if (statusTasks.length === 0) {
+          continue;
+        }
+        lines.push(`    subgraph ${nodeId(type)}_${nodeId(status)}["${label(this.formatStatusLabel(status))}"]`);
+        statusTasks.forEach(task => {
+          lines.push(`      ${nodeId(task.id)}["${label(task.id)}: ${label(task.title)}"]`);
+        });
+        lines.push('    end');
+      }
+      lines.push('  end');
+    }
+
+    // Dependency edges between exported tasks
+    tasks.forEach(task => {
+      (task.dependsOn || [])
+        .filter(depId => ids.has(depId))
+        .forEach(depId => lines.push(`  ${nodeId(depId)} --> ${nodeId(task.id)}`));
+    });
+
+    return lines.join('\n');
+  }
+}
+
+module.exports = {
+  ClaudeTaskMaster,
+  TaskMasterError,
+  ConfigError,
+  ValidationError,
+  NotFoundError,
+  TransitionError,
+  LockTimeoutError,
+  DEFAULT_CONFIG,
+  validateConfigText,
+  formatConfigError,
+  localDateString,
+  shellQuote
+};
@@ -3,333 +3,781 @@
 /**
  * Claude Task Master for {{PROJECT_NAME}} Project
  * Manages tasks and workflows with Claude Code integration
+ * Command-line front end; the task store itself lives in task-master-lib.example.js,
+ * which must be copied alongside this file
  * 
  * This is a template - replace {{VARIABLES}} with your project-specific values
  */
 
 const fs = require('fs');
 const path = require('path');
-const { execSync } = require('child_process');
-const crypto = require('crypto');
-
-class ClaudeTaskMaster {
-  constructor() {
-    this.config = this.loadConfig();
-    this.tasksDir = path.join(process.cwd(), '.claude/tasks');
-    this.ensureTasksDirectory();
+const {
+  ClaudeTaskMaster,
+  ConfigError,
+  DEFAULT_CONFIG,
+  validateConfigText,
+  formatConfigError,
+  localDateString,
+  shellQuote
+} = require('./task-master-lib.example');
+
+// CLI Interface
+function parseArgs(args, { boolean = [] } = {}) {
+  const positional = [];
+  const flags = {};
+
+  for (let i = 0; i < args.length; i++) {
+    const arg = args[i];
+    if (!arg.startsWith('--')) {
+      positional.push(arg);
+      continue;
+    }
+
+    const [name, inlineValue] = arg.slice(2).split(/=(.*)/s);
+    const key = name.replace(/-([a-z])/g, (match, letter) => letter.toUpperCase());
+
+    if (inlineValue !== undefined) {
+      flags[key] = inlineValue;
+    } else if (boolean.includes(name) || i + 1 >= args.length || args[i + 1].startsWith('--')) {
+      flags[key] = true;
+    } else {
+      flags[key] = args[++i];
+    }
   }
 
-  loadConfig() {
-    const configPath = path.join(process.cwd(), '.claude-task-master.json');
-    if (!fs.existsSync(configPath)) {
-      console.error('Claude Task Master config not found');
-      console.error('Create .claude-task-master.json from the template');
+  return { positional, flags };
+}
+
+function splitList(value) {
+  return typeof value === 'string'
+    ? value.split(',').map(item => item.trim()).filter(Boolean)
+    : [];
+}
+
+function planningFlags(flags) {
+  const fields = {};
+  ['priority', 'estimate', 'due'].forEach(key => {
+    if (typeof flags[key] === 'string') {
+      fields[key] = flags[key];
+    }
+  });
+  return fields;
+}
+
+// --fields severity=major,area=auth
+function parseFieldList(value) {
+  const fields = {};
+  splitList(value).forEach(pair => {
+    const [name, ...rest] = pair.split('=');
+    fields[name.trim()] = rest.join('=').trim();
+  });
+  return fields;
+}
+
+function formatTaskLine(task) {
+  const icons = { done: '✓', ready: '○', blocked: '⧗' };
+  const progress = task.progress ? ` [${task.progress.done}/${task.progress.total} done]` : '';
+  const blocked = task.blockedBy.length > 0
+    ? ` [blocked by ${task.blockedBy.join(', ')}]`
+    : '';
+  const status = task.readiness === 'done' ? '' : `, ${task.status}`;
+  const icon = task.status === 'cancelled' ? '✗' : icons[task.readiness];
+  return `${icon} ${task.id}: ${task.title} (${task.type}${status})${progress}${blocked}`;
+}
+
+function printTaskTree(tasks) {
+  const ids = new Set(tasks.map(t => t.id));
+  const childrenOf = parentId => tasks.filter(t => (t.parent || null) === parentId);
+  const printBranch = (task, prefix, isLast, isRoot) => {
+    const connector = isRoot ? '' : (isLast ? '└─ ' : '├─ ');
+    console.log(`${prefix}${connector}${formatTaskLine(task)}`);
+    const children = childrenOf(task.id);
+    const childPrefix = isRoot ? prefix : prefix + (isLast ? '   ' : '│  ');
+    children.forEach((child, i) => printBranch(child, childPrefix, i === children.length - 1, false));
+  };
+
+  // Tasks whose parent is filtered out are shown as roots
+  tasks
+    .filter(t => !t.parent || !ids.has(t.parent))
+    .forEach(root => printBranch(root, '', true, true));
+}
+
+function runConfigCommand([action, ...rest]) {
+  const configFile = '.claude-task-master.json';
+  const configPath = path.join(process.cwd(), configFile);
+
+  if (action === 'init') {
+    if (fs.existsSync(configPath) && !rest.includes('--force')) {
+      console.error(`${configFile} already exists (use --force to overwrite)`);
       process.exit(1);
     }
-    return JSON.parse(fs.readFileSync(configPath, 'utf8'));
+    fs.writeFileSync(configPath, JSON.stringify(DEFAULT_CONFIG, null, 2) + '\n');
+    console.log(`✓ Created ${configFile}`);
+    console.log('  Edit the task categories, workflows and pre-commit checks for your project');
+    process.exit(0);
   }
 
-  ensureTasksDirectory() {
-    if (!fs.existsSync(this.tasksDir)) {
-      fs.mkdirSync(this.tasksDir, { recursive: true });
+  if (action === 'validate') {
+    if (!fs.existsSync(configPath)) {
+      console.error(`${configFile} not found (create one with: task-master config init)`);
+      process.exit(1);
     }
+    const { errors } = validateConfigText(fs.readFileSync(configPath, 'utf8'));
+    if (errors.length === 0) {
+      console.log(`✓ ${configFile} is valid`);
+      process.exit(0);
+    }
+    errors.forEach(error => console.error(`✗ ${formatConfigError(configFile, error)}`));
+    console.error(`\n${errors.length} error${errors.length === 1 ? '' : 's'} found`);
+    process.exit(1);
   }
 
-  generateTaskId() {
-    return crypto.randomBytes(4).toString('hex').toUpperCase();
+  console.error('Usage: task-master config validate | init [--force]');
+  process.exit(1);
+}
+
+// Runs as a Claude Code PreToolUse/PostToolUse hook. Hooks must never get in
+// the agent's way, so failures go to stderr and the exit code is always 0.
+function runHookCommand() {
+  try {
+    if (process.stdin.isTTY) {
+      throw new Error('expects a hook payload on stdin');
+    }
+    const payload = JSON.parse(fs.readFileSync(0, 'utf8'));
+    const taskMaster = new ClaudeTaskMaster({ logger: { log() {}, error() {} } });
+    taskMaster.recordActivity(payload);
+  } catch (error) {
+    console.error(`task-master hook: ${error.message}`);
   }
+  process.exit(0);
+}
+
+const [,, command, ...args] = process.argv;
+
+// Config commands must work without (or with a broken) config file
+if (command === 'config') {
+  runConfigCommand(args);
+}
 
-  slugify(text) {
-    return text
-      .toLowerCase()
-      .replace(/[^a-z0-9]+/g, '-')
-      .replace(/(^-|-$)/g, '');
+if (command === 'hook') {
+  runHookCommand();
+}
+
+let taskMaster;
+try {
+  // Steps share the terminal: output is shown live and prompts can be answered
+  taskMaster = new ClaudeTaskMaster({ stdout: process.stdout, stderr: process.stderr, stdin: 'inherit' });
+} catch (error) {
+  if (!(error instanceof ConfigError)) {
+    throw error;
   }
+  console.error(`✗ ${error.message}`);
+  error.errors.forEach(configError => console.error(`  ${formatConfigError(error.file, configError)}`));
+  if (error.errors.length > 0) {
+    console.error('Run `task-master config validate` after fixing.');
+  }
+  process.exit(1);
+}
 
-  createTask(type, title, description = '') {
-    const taskId = this.generateTaskId();
-    const category = this.config.taskCategories[type];
-    
-    if (!category) {
-      console.error(`Unknown task type: ${type}`);
-      console.error('Available types:', Object.keys(this.config.taskCategories).join(', '));
-      process.exit(1);
+try {
+  switch (command) {
+    case 'create': {
+      const { positional, flags } = parseArgs(args);
+      const [type, ...titleParts] = positional;
+      const title = titleParts.join(' ');
+      if (!type || !title) {
+        console.error('Usage: task-master create <type> <title> [--parent <id>] [--depends-on <id,id>]');
+        console.error('       [--priority <p>] [--estimate <3|4h>] [--due YYYY-MM-DD] [--description <text>]');
+        console.error('       [--fields name=value,name=value]');
+        process.exit(1);
+      }
+      taskMaster.createTask(type, title, typeof flags.description === 'string' ? flags.description : '', {
+        parent: typeof flags.parent === 'string' ? flags.parent : null,
+        dependsOn: splitList(flags.dependsOn),
+        fields: parseFieldList(flags.fields),
+        ...planningFlags(flags)
+      });
+      break;
     }
 
-    const task = {
-      id: `${category.prefix}-${taskId}`,
-      type,
-      title,
-      description,
-      status: 'pending',
-      created: new Date().toISOString(),
-      updated: new Date().toISOString(),
-      workflow: this.config.workflows[type] || null,
-      projectName: '{{PROJECT_NAME}}' // Template variable
-    };
-
-    const taskFile = path.join(this.tasksDir, `${task.id}.json`);
-    fs.writeFileSync(taskFile, JSON.stringify(task, null, 2));
-
-    console.log(`✓ Task created: ${task.id}`);
-    console.log(`  Title: ${title}`);
-    console.log(`  Type: ${type}`);
-    console.log(`  Project: {{PROJECT_NAME}}`);
-    
-    if (task.workflow) {
-      console.log(`  Workflow: ${task.workflow.steps.length} steps`);
+    case 'update': {
+      const { positional, flags } = parseArgs(args);
+      const [taskId] = positional;
+      const updates = planningFlags(flags);
+      ['title', 'description'].forEach(key => {
+        if (typeof flags[key] === 'string') {
+          updates[key] = flags[key];
+        }
+      });
+      if (typeof flags.fields === 'string') {
+        updates.fields = parseFieldList(flags.fields);
+      }
+      if (!taskId || Object.keys(updates).length === 0) {
+        console.error('Usage: task-master update <task-id> [--priority <p>] [--estimate <3|4h>] [--due YYYY-MM-DD]');
+        console.error('                                    [--title <text>] [--description <text>] [--fields name=value,...]');
+        process.exit(1);
+      }
+      const task = taskMaster.updateTask(taskId, updates);
+      console.log(`✓ Updated ${task.id}: ${Object.keys(updates).join(', ')}`);
+      break;
     }
 
-    // Sync to oppie-devkit if enabled
-    if (this.config.syncToOppieDevkit) {
-      this.syncTaskToOppieDevkit(task);
+    case 'plan': {
+      const { flags } = parseArgs(args);
+      const tasks = taskMaster.planTasks(typeof flags.type === 'string' ? { type: flags.type } : {});
+      if (tasks.length === 0) {
+        console.log('Nothing planned - no open tasks');
+        break;
+      }
+      console.log(`\n{{PROJECT_NAME}} Plan (${localDateString()}):\n`);
+      console.log(`${'PRIORITY'.padEnd(10)}${'DUE'.padEnd(12)}${'EST'.padEnd(7)}TASK`);
+      tasks.forEach(task => {
+        const flagsText = [
+          task.overdue ? '⚠️  OVERDUE' : '',
+          task.readiness === 'blocked' ? 'blocked' : ''
+        ].filter(Boolean).join(', ');
+        console.log(
+          `${String(task.priority || '-').padEnd(10)}${String(task.due || '-').padEnd(12)}` +
+          `${taskMaster.formatEstimate(task.estimate).padEnd(7)}${task.id}: ${task.title} (${task.status})` +
+          (flagsText ? `  ${flagsText}` : '')
+        );
+      });
+      const overdue = tasks.filter(t => t.overdue).length;
+      const points = tasks.reduce((sum, t) => sum + (t.estimate && t.estimate.unit === 'points' ? t.estimate.value : 0), 0);
+      const hours = tasks.reduce((sum, t) => sum + (t.estimate && t.estimate.unit === 'hours' ? t.estimate.value : 0), 0);
+      console.log(`\n${tasks.length} open, ${overdue} overdue · estimated ${points}pt + ${hours}h`);
+      break;
     }
 
-    return task;
-  }
+    case 'depend': {
+      const [taskId, ...depIds] = args;
+      if (!taskId || depIds.length === 0) {
+        console.error('Usage: task-master depend <task-id> <depends-on-id...>');
+        process.exit(1);
+      }
+      const task = taskMaster.updateTask(taskId, current => ({
+        dependsOn: [...new Set([...(current.dependsOn || []), ...depIds])]
+      }));
+      console.log(`✓ ${taskId} now depends on: ${task.dependsOn.join(', ')}`);
+      break;
+    }
 
-  syncTaskToOppieDevkit(task) {
-    // Template for syncing tasks to oppie-devkit
-    const syncPath = path.join(process.cwd(), '.claude/oppie-sync-queue.json');
-    let syncQueue = [];
-    
-    if (fs.existsSync(syncPath)) {
-      syncQueue = JSON.parse(fs.readFileSync(syncPath, 'utf8'));
+    case 'list': {
+      const { flags } = parseArgs(args, { boolean: ['tree', 'json'] });
+      const filter = {};
+      ['type', 'status', 'since', 'until', 'search', 'sort', 'limit'].forEach(key => {
+        if (typeof flags[key] === 'string') {
+          filter[key] = flags[key];
+        }
+      });
+      const tasks = taskMaster.listTasks(filter);
+      if (flags.json) {
+        console.log(JSON.stringify(tasks, null, 2));
+      } else if (tasks.length === 0) {
+        console.log('No tasks found');
+      } else {
+        console.log(`\n{{PROJECT_NAME}} Tasks:\n`);
+        if (flags.tree) {
+          printTaskTree(tasks);
+        } else {
+          tasks.forEach(task => console.log(formatTaskLine(task)));
+        }
+      }
+      break;
     }
-    
-    syncQueue.push({
-      type: 'task',
-      task,
-      timestamp: new Date().toISOString(),
-      project: '{{PROJECT_NAME}}'
-    });
-    
-    fs.writeFileSync(syncPath, JSON.stringify(syncQueue, null, 2));
-    console.log('  → Task queued for oppie-devkit sync');
-  }
 
-  listTasks(filter = {}) {
-    const taskFiles = fs.readdirSync(this.tasksDir)
-      .filter(f => f.endsWith('.json'));
+    case 'start':
+    case 'block':
+    case 'review':
+    case 'done':
+    case 'cancel': {
+      const { positional, flags } = parseArgs(args, { boolean: ['force'] });
+      const [taskId] = positional;
+      const reason = typeof flags.reason === 'string' ? flags.reason : '';
+      if (!taskId || (command === 'block' && !reason)) {
+        console.error(`Usage: task-master ${command} <task-id> ${command === 'block' ? '--reason <text>' : '[--reason <text>]'}` +
+          (command === 'done' ? ' [--force]' : ''));
+        process.exit(1);
+      }
+      const targets = {
+        start: 'in_progress',
+        block: 'blocked',
+        review: 'review',
+        done: 'completed',
+        cancel: 'cancelled'
+      };
+      const task = taskMaster.transitionTask(taskId, targets[command], {
+        reason,
+        force: command === 'done' && Boolean(flags.force)
+      });
+      console.log(`✓ ${task.id} is now ${task.status}`);
+      break;
+    }
 
-    const tasks = taskFiles.map(file => {
-      const content = fs.readFileSync(path.join(this.tasksDir, file), 'utf8');
-      return JSON.parse(content);
-    });
+    case 'check': {
+      const { positional, flags } = parseArgs(args, { boolean: ['undo'] });
+      const [taskId, ...itemParts] = positional;
+      if (!taskId || itemParts.length === 0) {
+        console.error('Usage: task-master check <task-id> <item number or text> [--undo]');
+        process.exit(1);
+      }
+      const { task, item } = taskMaster.checkItem(taskId, itemParts.join(' '), { done: !flags.undo });
+      console.log(`${item.done ? '☑' : '☐'} ${task.id} #${item.id}: ${item.text}`);
+      const open = taskMaster.getOpenChecklistItems(task).length;
+      console.log(open > 0 ? `  ${open} required item(s) still open` : '  All required items done');
+      break;
+    }
+
+    case 'show': {
+      const [taskId] = args;
+      if (!taskId) {
+        console.error('Usage: task-master show <task-id>');
+        process.exit(1);
+      }
+      const task = { ...taskMaster.getTask(taskId), ...taskMaster.listTasks().find(t => t.id === taskId) };
+      console.log(`${task.id}: ${task.title}`);
+      console.log(`  Type: ${task.type}`);
+      console.log(`  Status: ${task.status}${task.readiness === 'blocked' ? ' (blocked)' : ''}`);
+      console.log(`  Priority: ${task.priority || taskMaster.getDefaultPriority()}`);
+      if (task.estimate) {
+        console.log(`  Estimate: ${taskMaster.formatEstimate(task.estimate)}`);
+      }
+      if (task.due) {
+        console.log(`  Due: ${task.due}${taskMaster.isOverdue(task) ? ' (overdue)' : ''}`);
+      }
+      if (task.parent) {
+        console.log(`  Parent: ${task.parent}`);
+      }
+      if (task.progress) {
+        console.log(`  Progress: ${task.progress.done}/${task.progress.total} subtasks done`);
+      }
+      if (task.dependsOn && task.dependsOn.length > 0) {
+        console.log(`  Depends on: ${task.dependsOn.join(', ')}`);
+      }
+      if (task.branch) {
+        console.log(`  Branch: ${task.branch}`);
+      }
+      console.log(`  Created: ${task.created}`);
+      console.log(`  Updated: ${task.updated}`);
+      if (task.description) {
+        console.log(`  Description: ${task.description}`);
+      }
 
-    let filtered = tasks;
+      const missing = taskMaster.getMissingFields(task);
+      if (Object.keys(task.fields || {}).length > 0 || missing.length > 0) {
+        console.log('\nFields:');
+        Object.entries(task.fields || {}).forEach(([name, value]) => console.log(`  ${name}: ${value}`));
+        missing.forEach(name => console.log(`  ${name}: (required, not set)`));
+      }
 
-    if (filter.type) {
-      filtered = filtered.filter(t => t.type === filter.type);
-    }
+      if (task.checklist && task.checklist.length > 0) {
+        const done = task.checklist.filter(item => item.done).length;
+        console.log(`\nChecklist (${done}/${task.checklist.length}):`);
+        task.checklist.forEach(item => {
+          console.log(`  ${item.done ? '☑' : '☐'} ${item.id}. ${item.text}${item.required ? '' : ' (optional)'}`);
+        });
+      }
 
-    if (filter.status) {
-      filtered = filtered.filter(t => t.status === filter.status);
+      if (task.notes && task.notes.length > 0) {
+        console.log(`\nNotes (${task.notes.length}):`);
+        task.notes.forEach(note => {
+          console.log(`  ${note.at.replace('T', ' ').slice(0, 16)}  ${note.author}`);
+          note.text.split('\n').forEach(line => console.log(`    ${line}`));
+        });
+      }
+
+      const commits = taskMaster.getLinkedCommits(task.id);
+      console.log(`\nCommits (${commits.length}):`);
+      commits.forEach(c => console.log(`  ${c.hash} ${c.date} ${c.subject} (${c.author})`));
+      break;
     }
 
-    return filtered.sort((a, b) => 
-      new Date(b.created).getTime() - new Date(a.created).getTime()
-    );
-  }
+    case 'note': {
+      const [taskId, ...textParts] = args;
+      if (!taskId || textParts.length === 0) {
+        console.error('Usage: task-master note <task-id> "text"   (use - to read the note from stdin)');
+        process.exit(1);
+      }
+      const text = textParts.join(' ') === '-' ? fs.readFileSync(0, 'utf8') : textParts.join(' ');
+      const { task, note } = taskMaster.addNote(taskId, text);
+      console.log(`✓ Note added to ${task.id} by ${note.author} (${task.notes.length} total)`);
+      break;
+    }
 
-  getTask(taskId) {
-    const taskFile = path.join(this.tasksDir, `${taskId}.json`);
-    if (!fs.existsSync(taskFile)) {
-      throw new Error(`Task not found: ${taskId}`);
+    case 'branch': {
+      const [taskId] = args;
+      if (!taskId) {
+        console.error('Usage: task-master branch <task-id>');
+        process.exit(1);
+      }
+      const { branch, created } = taskMaster.createBranch(taskId);
+      console.log(`✓ ${created ? 'Created' : 'Switched to'} branch ${branch}`);
+      break;
     }
-    return JSON.parse(fs.readFileSync(taskFile, 'utf8'));
-  }
 
-  updateTask(taskId, updates) {
-    const task = this.getTask(taskId);
-    const updated = {
-      ...task,
-      ...updates,
-      updated: new Date().toISOString()
-    };
-
-    const taskFile = path.join(this.tasksDir, `${taskId}.json`);
-    fs.writeFileSync(taskFile, JSON.stringify(updated, null, 2));
-    
-    // Sync updates to oppie-devkit
-    if (this.config.syncToOppieDevkit) {
-      this.syncTaskToOppieDevkit(updated);
+    case 'prepare-commit-msg': {
+      // Git hook helper: node scripts/task-master.js prepare-commit-msg "$1" "$2"
+      const [messageFile, source] = args;
+      if (!messageFile) {
+        console.error('Usage: task-master prepare-commit-msg <message-file> [source]');
+        process.exit(1);
+      }
+      taskMaster.prepareCommitMessage(messageFile, source);
+      break;
     }
-    
-    return updated;
-  }
 
-  runWorkflow(taskId) {
-    const task = this.getTask(taskId);
-    
-    if (!task.workflow) {
-      console.error(`No workflow defined for task type: ${task.type}`);
-      return;
+    case 'import': {
+      const { positional, flags } = parseArgs(args, { boolean: ['dry-run'] });
+      const [source, ...paths] = positional;
+      if (source !== 'todos' && !(source === 'checklist' && paths.length > 0)) {
+        console.error('Usage: task-master import todos [path...] [--dry-run]');
+        console.error('       task-master import checklist <file.md...> [--type <type>] [--dry-run]');
+        process.exit(1);
+      }
+      const options = { dryRun: Boolean(flags.dryRun), type: flags.type };
+      const { created, skipped } = source === 'todos'
+        ? taskMaster.importTodos(paths.length > 0 ? paths : ['.'], options)
+        : taskMaster.importChecklists(paths, options);
+
+      created.forEach(item => {
+        console.log(`${options.dryRun ? '+ (dry run)' : `✓ ${item.id}`} ${item.title} (${item.type}) ← ${item.file}:${item.line}`);
+      });
+      console.log(`\n${created.length} task(s) ${options.dryRun ? 'would be ' : ''}imported, ${skipped.length} already tracked`);
+      break;
     }
 
-    console.log(`Starting workflow for ${taskId}: ${task.title}`);
-    console.log('Project: {{PROJECT_NAME}}');
-    console.log('='.repeat(50));
-
-    const context = {
-      taskId: taskId,
-      taskSlug: this.slugify(task.title),
-      projectName: '{{PROJECT_NAME}}',
-      ...task
-    };
-
-    for (const [index, step] of task.workflow.steps.entries()) {
-      console.log(`\nStep ${index + 1}/${task.workflow.steps.length}: ${step.name}`);
-      
-      if (step.manual) {
-        console.log('⚠️  Manual step - please complete and press Enter to continue');
-        require('readline-sync').question('');
-      } else if (step.command) {
-        try {
-          const command = this.interpolateCommand(step.command, context);
-          console.log(`> ${command}`);
-          
-          execSync(command, { stdio: 'inherit' });
-          
-          if (step.expectFailure) {
-            console.error('Expected failure but command succeeded!');
-            process.exit(1);
-          }
-        } catch (error) {
-          if (!step.expectFailure) {
-            console.error('Step failed!');
-            process.exit(1);
-          }
+    case 'timer': {
+      const [action, taskId] = args;
+      if (action === 'start' && taskId) {
+        const { timer, stopped } = taskMaster.startTimer(taskId);
+        if (stopped) {
+          console.log(`■ Stopped timer on ${stopped.taskId} (${taskMaster.formatDuration(stopped.seconds)})`);
+        }
+        console.log(`▶ Timer started on ${timer.taskId}`);
+      } else if (action === 'stop') {
+        const entry = taskMaster.stopTimer();
+        console.log(`■ Stopped timer on ${entry.taskId} (${taskMaster.formatDuration(entry.seconds)})`);
+      } else if (action === 'status') {
+        const timer = taskMaster.getActiveTimer();
+        if (!timer) {
+          console.log('No active timer');
+        } else {
+          const seconds = (Date.now() - new Date(timer.started).getTime()) / 1000;
+          console.log(`▶ ${timer.taskId} running for ${taskMaster.formatDuration(seconds)}`);
         }
+      } else {
+        console.error('Usage: task-master timer start <task-id> | stop | status');
+        process.exit(1);
       }
+      break;
     }
 
-    this.updateTask(taskId, { status: 'completed' });
-    console.log(`\n✓ Workflow completed for ${taskId}`);
-  }
+    case 'report': {
+      const { positional, flags } = parseArgs(args);
+      if (positional[0] !== 'time') {
+        console.error('Usage: task-master report time [--since 2w] [--until YYYY-MM-DD]');
+        process.exit(1);
+      }
+      const report = taskMaster.timeReport({
+        since: typeof flags.since === 'string' ? flags.since : undefined,
+        until: typeof flags.until === 'string' ? flags.until : undefined
+      });
+      if (report.total === 0) {
+        console.log('No time recorded in this period');
+        break;
+      }
+      const printSection = (title, totals, keys) => {
+        console.log(`\n${title}`);
+        keys.forEach(key => {
+          console.log(`  ${key.padEnd(14)} ${taskMaster.formatDuration(totals[key]).padStart(8)}`);
+        });
+      };
+      console.log(`{{PROJECT_NAME}} time report${flags.since ? ` (since ${flags.since})` : ''}`);
+      printSection('By task type:', report.byType, Object.keys(report.byType).sort((a, b) => report.byType[b] - report.byType[a]));
+      printSection('By day:', report.byDay, Object.keys(report.byDay).sort());
+      console.log(`\nTotal: ${taskMaster.formatDuration(report.total)} across ${Object.keys(report.byTask).length} task(s)`);
+      break;
+    }
 
-  interpolateCommand(command, context) {
-    // Replace template variables
-    command = command.replace(/\{\{PROJECT_NAME\}\}/g, '{{PROJECT_NAME}}');
-    
-    // Replace context variables
-    return command.replace(/\${(\w+)}/g, (match, key) => {
-      return context[key] || match;
-    });
-  }
+    case 'activity': {
+      const { positional, flags } = parseArgs(args, { boolean: ['json'] });
+      const [taskId] = positional;
+      if (!taskId) {
+        console.error('Usage: task-master activity <task-id> [--session <id>] [--limit N] [--json]');
+        process.exit(1);
+      }
+      const entries = taskMaster.listActivity(taskId, { session: flags.session, limit: flags.limit });
+      if (flags.json) {
+        console.log(JSON.stringify(entries, null, 2));
+        break;
+      }
+      if (entries.length === 0) {
+        console.log(`No activity recorded for ${taskId}`);
+        break;
+      }
 
-  runPreCommitChecks() {
-    if (!this.config.automations.preCommit.enabled) {
-      return true;
+      let session;
+      entries.forEach(entry => {
+        if (entry.session !== session) {
+          session = entry.session;
+          console.log(`\nSession ${session ? session.slice(0, 8) : '(unknown)'}`);
+        }
+        const time = entry.at.replace('T', ' ').slice(0, 19);
+        const target = [entry.files.join(', '), entry.command, entry.pattern && `/${entry.pattern}/`]
+          .filter(Boolean)
+          .join('  ');
+        console.log(`  ${time}  ${(entry.tool || '?').padEnd(12)} ${target}`);
+      });
+
+      // Files written by the agent, as opposed to merely read or searched
+      const touched = [...new Set(entries
+        .filter(entry => ['Edit', 'MultiEdit', 'Write', 'NotebookEdit'].includes(entry.tool))
+        .flatMap(entry => entry.files))];
+      if (touched.length > 0) {
+        console.log(`\nFiles changed (${touched.length}):`);
+        touched.sort().forEach(file => console.log(`  ${file}`));
+      }
+      break;
     }
 
-    console.log('Running pre-commit checks for {{PROJECT_NAME}}...');
-    
-    // TDD Foundation check first (mandatory)
-    console.log('\n→ TDD Foundation Check');
-    try {
-      execSync('node scripts/tdd-guard-enhanced.js validate', { stdio: 'inherit' });
-      console.log('✓ TDD Foundation passed');
-    } catch (error) {
-      console.error('✗ TDD Foundation failed - tests must be written first!');
-      return false;
+    case 'reindex': {
+      const { index, invalid } = taskMaster.reindex();
+      console.log(`✓ Indexed ${Object.keys(index.tasks).length} task(s)`);
+      invalid.forEach(({ file, error }) => console.error(`✗ Skipped ${file}: ${error}`));
+      if (invalid.length > 0) {
+        process.exit(1);
+      }
+      break;
     }
-    
-    // Run other configured checks
-    for (const check of this.config.automations.preCommit.checks) {
-      console.log(`\n→ ${check.name}`);
-      try {
-        execSync(check.command, { stdio: 'inherit' });
-        console.log('✓ Passed');
-      } catch (error) {
-        console.error('✗ Failed');
-        return false;
+
+    case 'next': {
+      const task = taskMaster.nextTask();
+      if (!task) {
+        console.log('No ready tasks');
+      } else {
+        console.log(`${task.id}: ${task.title} (${task.type})`);
       }
+      break;
     }
 
-    return true;
-  }
+    case 'run': {
+      const { positional, flags } = parseArgs(args, { boolean: ['resume', 'dry-run'] });
+      const [taskId] = positional;
+      if (!taskId) {
+        console.error('Usage: task-master run <task-id> [--resume | --from-step N | --dry-run]');
+        process.exit(1);
+      }
+      if (flags.dryRun) {
+        const task = taskMaster.getTask(taskId);
+        const steps = taskMaster.planWorkflow(taskId);
+        console.log(`Dry run for ${task.id}: ${task.title} (${steps.length} steps, nothing executed)\n`);
+        steps.forEach(step => {
+          const notes = [step.manual ? 'manual - waits for approval' : '', step.when ? `when: ${step.when}` : '']
+            .filter(Boolean)
+            .join(', ');
+          console.log(`${step.index}. ${step.name}${notes ? `  [${notes}]` : ''}`);
+          if (step.command) {
+            console.log(`   $ ${Array.isArray(step.command) ? step.command.map(shellQuote).join(' ') : step.command}`);
+            Object.entries(step.env).forEach(([name, value]) => console.log(`     ${name}=${shellQuote(value)}`));
+          }
+          if (step.runtime.length > 0) {
+            console.log(`   captured at run time: ${step.runtime.map(name => `\${${name}}`).join(', ')}`);
+          }
+          if (step.unresolved.length > 0) {
+            console.log(`   ⚠️  unresolved: ${step.unresolved.map(name => `\${${name}}`).join(', ')}`);
+          }
+        });
+        const unresolved = steps.reduce((sum, step) => sum + step.unresolved.length, 0);
+        if (unresolved > 0) {
+          console.error(`\n✗ ${unresolved} unresolved variable(s)`);
+          process.exit(1);
+        }
+        break;
+      }
+      taskMaster.runWorkflow(taskId, {
+        resume: Boolean(flags.resume),
+        fromStep: flags.fromStep
+      })
+        .then(run => {
+          if (run && run.status === 'failed') {
+            process.exit(run.exitCode);
+          }
+        })
+        .catch(error => {
+          console.error(`✗ ${error.message}`);
+          process.exit(1);
+        });
+      break;
+    }
 
-  exportTasks(format = 'json') {
-    const tasks = this.listTasks();
-    
-    if (format === 'markdown') {
-      const md = `# {{PROJECT_NAME}} Tasks\n\n` +
-        tasks.map(task => 
-          `## ${task.id}: ${task.title}\n` +
-          `- Type: ${task.type}\n` +
-          `- Status: ${task.status}\n` +
-          `- Created: ${task.created}\n` +
-          `${task.description ? `- Description: ${task.description}\n` : ''}\n`
-        ).join('\n');
-      
-      return md;
+    case 'workflow': {
+      if (args[0] !== 'lint') {
+        console.error('Usage: task-master workflow lint');
+        process.exit(1);
+      }
+      const problems = taskMaster.lintWorkflows();
+      const workflows = Object.values(taskMaster.config.workflows || {});
+      const stepCount = workflows.reduce((sum, workflow) => sum + workflow.steps.length, 0);
+      problems.forEach(problem => {
+        const icon = problem.level === 'error' ? '✗' : '⚠️ ';
+        console.log(`${icon} ${problem.workflow} › step ${problem.step} (${problem.name}): ${problem.message}`);
+      });
+      const errors = problems.filter(problem => problem.level === 'error').length;
+      if (problems.length === 0) {
+        console.log(`✓ ${workflows.length} workflow(s), ${stepCount} step(s): no problems found`);
+      } else {
+        console.log(`\n${errors} error(s), ${problems.length - errors} warning(s) in ${workflows.length} workflow(s)`);
+      }
+      if (errors > 0) {
+        process.exit(1);
+      }
+      break;
     }
 
-    return JSON.stringify(tasks, null, 2);
-  }
-}
+    case 'logs': {
+      const { positional, flags } = parseArgs(args);
+      const [taskId] = positional;
+      if (!taskId) {
+        console.error('Usage: task-master logs <task-id> [--run N] [--step <name|number>]');
+        process.exit(1);
+      }
+      const { run, steps } = taskMaster.getRunLogs(taskId, { run: flags.run, step: flags.step });
+      console.log(`Run ${run.run} of ${taskId}: ${run.status} (started ${run.started})`);
+      steps.forEach(step => {
+        const duration = step.durationMs !== undefined && step.durationMs !== null ? `, ${step.durationMs}ms` : '';
+        console.log(`\n── Step ${step.index}: ${step.name} (${step.status}, exit ${step.exitCode}${duration})`);
+        step.attempts.forEach(attempt => {
+          if (step.attempts.length > 1) {
+            console.log(`   attempt ${attempt.attempt}: exit ${attempt.exitCode}, ${attempt.durationMs}ms${attempt.timedOut ? ', timed out' : ''}`);
+          }
+          if (attempt.stdout) {
+            process.stdout.write(attempt.stdout);
+          }
+          if (attempt.stderr) {
+            console.log('   [stderr]');
+            process.stdout.write(attempt.stderr);
+          }
+        });
+      });
+      break;
+    }
 
-// CLI Interface
-const taskMaster = new ClaudeTaskMaster();
-const [,, command, ...args] = process.argv;
+    case 'approve':
+    case 'reject': {
+      const { positional, flags } = parseArgs(args);
+      const [taskId, stepRef] = positional;
+      if (!taskId || !stepRef) {
+        console.error(`Usage: task-master ${command} <task-id> <step> [--by <name>] [--${command === 'approve' ? 'comment' : 'reason'} <text>]`);
+        process.exit(1);
+      }
+      const by = typeof flags.by === 'string' ? flags.by : undefined;
+      if (command === 'reject') {
+        const run = taskMaster.rejectStep(taskId, stepRef, { by, reason: flags.reason || '' });
+        process.exit(run.exitCode);
+      }
+      taskMaster.approveStep(taskId, stepRef, { by, comment: flags.comment || '' })
+        .then(run => {
+          if (run.status === 'failed') {
+            process.exit(run.exitCode);
+          }
+        })
+        .catch(error => {
+          console.error(`✗ ${error.message}`);
+          process.exit(1);
+        });
+      break;
+    }
 
-switch (command) {
-  case 'create': {
-    const [type, ...titleParts] = args;
-    const title = titleParts.join(' ');
-    if (!type || !title) {
-      console.error('Usage: task-master create <type> <title>');
-      process.exit(1);
+    case 'precommit': {
+      const { flags } = parseArgs(args, { boolean: ['staged'] });
+      taskMaster.runPreCommitChecks({ staged: Boolean(flags.staged) })
+        .then(({ passed }) => process.exit(passed ? 0 : 1))
+        .catch(error => {
+          console.error(`✗ ${error.message}`);
+          process.exit(1);
+        });
+      break;
     }
-    taskMaster.createTask(type, title);
-    break;
-  }
 
-  case 'list': {
-    const tasks = taskMaster.listTasks();
-    if (tasks.length === 0) {
-      console.log('No tasks found');
-    } else {
-      console.log(`\n{{PROJECT_NAME}} Tasks:\n`);
-      tasks.forEach(task => {
-        const status = task.status === 'completed' ? '✓' : '○';
-        console.log(`${status} ${task.id}: ${task.title} (${task.type})`);
+    case 'hooks': {
+      const { positional, flags } = parseArgs(args, { boolean: ['force'] });
+      if (positional[0] !== 'install') {
+        console.error('Usage: task-master hooks install [--force]');
+        process.exit(1);
+      }
+      const results = taskMaster.installHooks({
+        script: path.relative(process.cwd(), __filename),
+        force: Boolean(flags.force)
+      });
+      results.forEach(({ hook, file, status }) => {
+        if (status === 'skipped') {
+          console.error(`✗ ${hook}: ${path.relative(process.cwd(), file)} exists and was not written by task-master (use --force to replace)`);
+        } else {
+          console.log(`✓ ${hook} hook ${status}`);
+        }
       });
+      if (results.some(result => result.status === 'skipped')) {
+        process.exit(1);
+      }
+      break;
     }
-    break;
-  }
 
-  case 'run': {
-    const [taskId] = args;
-    if (!taskId) {
-      console.error('Usage: task-master run <task-id>');
-      process.exit(1);
+    case 'export': {
+      const { positional, flags } = parseArgs(args);
+      const [format = 'json'] = positional;
+      const filter = {};
+      ['type', 'status'].forEach(key => {
+        if (typeof flags[key] === 'string') {
+          filter[key] = flags[key];
+        }
+      });
+      console.log(taskMaster.exportTasks(format, filter));
+      break;
     }
-    taskMaster.runWorkflow(taskId);
-    break;
-  }
-
-  case 'precommit': {
-    const success = taskMaster.runPreCommitChecks();
-    process.exit(success ? 0 : 1);
-  }
 
-  case 'export': {
-    const [format = 'json'] = args;
-    console.log(taskMaster.exportTasks(format));
-    break;
+    default:
+      console.log('Claude Task Master for {{PROJECT_NAME}}');
+      console.log('\nCommands:');
+      console.log('  create <type> <title>  - Create a new task (--parent <id>, --depends-on <id,id>,');
+      console.log('                           --priority, --estimate, --due, --description,');
+      console.log('                           --fields name=value,... for the type\'s template)');
+      console.log('  update <task-id>       - Update priority/estimate/due/title/description/fields');
+      console.log('  plan                   - Open tasks by priority and due date, overdue flagged');
+      console.log('  depend <id> <dep-id..> - Add dependencies to a task');
+      console.log('  list                   - List tasks (--type, --status, --since, --until, --search,');
+      console.log('                           --sort [-]field, --limit N, --tree, --json)');
+      console.log('  next                   - Show the highest-priority ready task');
+      console.log('  start <task-id>        - Move a task to in_progress');
+      console.log('  block <id> --reason    - Mark a task as blocked');
+      console.log('  review <task-id>       - Move a task to review');
+      console.log('  done <task-id>         - Complete a task (--force skips template checks)');
+      console.log('  check <id> <item>      - Tick a checklist item by number or text (--undo)');
+      console.log('  cancel <task-id>       - Cancel a task');
+      console.log('  import todos [path..]  - Import TODO/FIXME comments as tasks (--dry-run)');
+      console.log('  import checklist <md>  - Import "- [ ]" items from markdown (--type, --dry-run)');
+      console.log('  show <task-id>         - Show task details, notes and linked commits');
+      console.log('  note <id> "text"       - Append a note to the task journal (- reads stdin)');
+      console.log('  branch <task-id>       - Create/switch to the task branch');
+      console.log('  prepare-commit-msg <file> [source] - Git hook: add Task trailer');
+      console.log('  run <task-id>         - Run task workflow (--resume, --from-step N, --dry-run)');
+      console.log('  workflow lint         - Check workflows for unknown variables, empty steps, missing programs');
+      console.log('  logs <task-id>        - Show run output (--run N, --step <name>)');
+      console.log('  approve <id> <step>   - Approve a waiting manual step and continue');
+      console.log('  reject <id> <step>    - Reject a waiting manual step (--reason)');
+      console.log('  timer start <id>|stop|status - Track time on a task (one timer per user)');
+      console.log('  report time [--since 2w] - Time spent by task type and by day');
+      console.log('  precommit             - Run pre-commit checks in parallel (--staged: staged files only)');
+      console.log('  hooks install         - Install pre-commit and prepare-commit-msg git hooks (--force)');
+      console.log('  config validate|init  - Check .claude-task-master.json or scaffold a default');
+      console.log('  reindex               - Rebuild .claude/tasks/index.json from the task files');
+      console.log('  hook                  - Claude Code PreToolUse/PostToolUse hook: log activity on the active task');
+      console.log('  activity <task-id>    - Show tools and files used while working a task (--session, --limit, --json)');
+      console.log('  export [format]       - Export tasks (json/markdown/csv/html/mermaid; --type, --status)');
+      console.log('\nTask types:', Object.keys(taskMaster.config.taskCategories).join(', '));
+      console.log('\nTemplate variables to replace:');
+      console.log('  {{PROJECT_NAME}} - Your project name');
   }
-
-  default:
-    console.log('Claude Task Master for {{PROJECT_NAME}}');
-    console.log('\nCommands:');
-    console.log('  create <type> <title>  - Create a new task');
-    console.log('  list                   - List all tasks');
-    console.log('  run <task-id>         - Run task workflow');
-    console.log('  precommit             - Run pre-commit checks');
-    console.log('  export [format]       - Export tasks (json/markdown)');
-    console.log('\nTask types:', Object.keys(taskMaster.config.taskCategories).join(', '));
-    console.log('\nTemplate variables to replace:');
-    console.log('  {{PROJECT_NAME}} - Your project name');
+} catch (error) {
+  console.error(`✗ ${error.message}`);
+  process.exit(1);
 }
\ No newline at end of file
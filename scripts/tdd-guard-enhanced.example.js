@@ -300,8 +300,10 @@ class EnhancedTDDGuard {
     return [...new Set(tested)];
   }
 
-  // Comprehensive Project Validation
-  async validateProject() {
+  // Comprehensive Project Validation; given files (e.g. those staged for a
+  // commit), the per-file checks only look at those. Coverage and docs sync
+  // are project-wide either way.
+  async validateProject(files = null) {
     this.log('🛡️  Enhanced TDD Guard - Foundation Layer Validation', 'magenta');
     this.log('Project: {{PROJECT_NAME}}', 'magenta');
     this.log('=' .repeat(60), 'magenta');
@@ -315,7 +317,7 @@ class EnhancedTDDGuard {
 
     // 1. Test-First Compliance
     this.log('\n1️⃣  Test-First Compliance Check', 'blue');
-    const sourceFiles = this.getFiles('{{SOURCE_DIR|src}}', /\.{{SOURCE_EXTENSION|ts}}$/);
+    const sourceFiles = this.selectFiles(files, '{{SOURCE_DIR|src}}', /\.{{SOURCE_EXTENSION|ts}}$/);
     let testFirstViolations = 0;
     
     sourceFiles.forEach(file => {
@@ -335,7 +337,7 @@ class EnhancedTDDGuard {
 
     // 2. Test Quality Check
     this.log('\n2️⃣  Test Quality Check', 'blue');
-    const testFiles = this.getFiles('{{TEST_DIR|tests}}', /\.test\.{{TEST_EXTENSION|ts}}$/);
+    const testFiles = this.selectFiles(files, '{{TEST_DIR|tests}}', /\.test\.{{TEST_EXTENSION|ts}}$/);
     let qualityViolations = 0;
     
     testFiles.forEach(file => {
@@ -480,6 +482,16 @@ class EnhancedTDDGuard {
     return files;
   }
 
+  selectFiles(files, dir, pattern) {
+    if (!files) {
+      return this.getFiles(dir, pattern);
+    }
+    const prefix = path.normalize(dir) + path.sep;
+    return files
+      .map(file => path.normalize(file))
+      .filter(file => file.startsWith(prefix) && pattern.test(file) && fs.existsSync(file));
+  }
+
   findTestFile(sourceFile) {
     const relativePath = path.relative('{{SOURCE_DIR|src}}', sourceFile);
     const testPath = path.join('{{TEST_DIR|tests/unit}}', relativePath.replace(/\.{{SOURCE_EXTENSION|ts}}$/, '.test.{{TEST_EXTENSION|ts}}'));
@@ -618,11 +630,14 @@ const guard = new EnhancedTDDGuard();
 const command = process.argv[2];
 
 switch (command) {
-  case 'validate':
-    guard.validateProject().then(result => {
+  case 'validate': {
+    // Without file arguments the whole project is validated
+    const files = process.argv.slice(3);
+    guard.validateProject(files.length > 0 ? files : null).then(result => {
       process.exit(result.pass ? 0 : 1);
     });
     break;
+  }
 
   case 'watch':
     guard.watchWithEnforcement();
@@ -673,7 +688,7 @@ switch (command) {
     guard.log('🛡️  Enhanced TDD Guard - Foundation Layer', 'magenta');
     guard.log('Project: {{PROJECT_NAME}}', 'magenta');
     guard.log('\nCommands:', 'blue');
-    guard.log('  validate     - Full TDD validation (foundation layer)');
+    guard.log('  validate     - Full TDD validation (foundation layer), optionally of given files only');
     guard.log('  watch        - Enhanced watch mode with enforcement');
     guard.log('  test-first   - Check test-first compliance for a file');
     guard.log('  generate     - Generate test template for a source file');
@@ -681,6 +696,7 @@ switch (command) {
     guard.log('  sync-docs    - Check documentation sync requirements');
     guard.log('\nExamples:', 'yellow');
     guard.log('  node scripts/tdd-guard-enhanced.js validate');
+    guard.log('  node scripts/tdd-guard-enhanced.js validate src/services/MyService.ts');
     guard.log('  node scripts/tdd-guard-enhanced.js watch');
     guard.log('  node scripts/tdd-guard-enhanced.js test-first src/services/MyService.ts');
     guard.log('\nTemplate variables to replace:', 'cyan');
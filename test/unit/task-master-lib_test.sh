@@ -0,0 +1,489 @@
+#!/bin/bash
+# ABOUTME: Unit tests for the task master library (scripts/task-master-lib.example.js)
+
+# Source test framework
+source "$(dirname "$0")/../helpers/test-framework.sh"
+
+# The file to be tested
+TASK_MASTER_LIB="$(cd "$(dirname "$0")/../../scripts" && pwd)/task-master-lib.example.js"
+
+# A value that breaks out of any quoting it is pasted into unescaped
+HOSTILE_VALUE=$'it\'s "$(echo PWNED)" `echo PWNED` $HOME \\ ; echo PWNED'
+
+describe "Task Master Library"
+
+setup_task_master() {
+    TEMP_DIR=$(create_temp_dir)
+}
+setup setup_task_master
+
+teardown_task_master() {
+    cleanup_temp_dir "$TEMP_DIR"
+}
+teardown teardown_task_master
+
+# Run a Node snippet with the library as `lib`, a silent task master as `tm`
+# (rooted in TEMP_DIR) and any further arguments in `args`
+tm_eval() {
+    local script="$1"
+    shift
+    node -e "
+        const lib = require(process.argv[1]);
+        const cwd = process.argv[2];
+        const args = process.argv.slice(3);
+        const silent = { log() {}, error() {} };
+        const tm = new lib.ClaudeTaskMaster({ cwd, config: lib.DEFAULT_CONFIG, logger: silent });
+        $script
+    " "$TASK_MASTER_LIB" "$TEMP_DIR" "$@"
+}
+
+# Interpolate a value (default $HOSTILE_VALUE) as ${value} into a command
+# template and run it with the environment the interpolation asks for
+run_interpolated() {
+    local template="$1"
+    local value="${2-$HOSTILE_VALUE}"
+    tm_eval "
+        const { command, env } = tm.interpolateCommand(args[0], { value: args[1] });
+        process.stdout.write(require('child_process').execFileSync('sh', ['-c', command], {
+            cwd,
+            env: { ...process.env, ...env }
+        }));
+    " "$template" "$value"
+}
+
+# Library API
+
+test_emits_task_events() {
+    local output
+    output=$(tm_eval "
+        tm.on('task:created', ({ task }) => console.log('created', task.title));
+        tm.on('task:updated', ({ task, previous }) => console.log('updated', previous.title, '->', task.title));
+        const task = tm.createTask('docs', 'Draft', '', { quiet: true });
+        tm.updateTask(task.id, { title: 'Final' });
+    ")
+    assert_contains "$output" "created Draft" "Creating a task should emit task:created"
+    assert_contains "$output" "updated Draft -> Final" "Updates should emit the task and its previous state"
+}
+it "should emit events for task changes" test_emits_task_events
+
+test_emits_workflow_step_events() {
+    local output
+    output=$(tm_eval "
+        const config = { ...lib.DEFAULT_CONFIG, workflows: { docs: { steps: [{ name: 'Check', command: 'true' }] } } };
+        const runner = new lib.ClaudeTaskMaster({ cwd, config, logger: silent });
+        runner.on('workflow:step', ({ step }) => console.log('step', step.name, step.status));
+        const task = runner.createTask('docs', 'Run me', '', { quiet: true });
+        Promise.resolve(runner.runWorkflow(task.id)).then(run => console.log('run', run.status));
+    " 2>/dev/null)
+    assert_contains "$output" "step Check completed" "Each finished step should emit workflow:step"
+    assert_contains "$output" "run completed" "Run should complete"
+}
+it "should emit events for workflow steps" test_emits_workflow_step_events
+
+test_throws_typed_errors() {
+    local output
+    output=$(tm_eval "
+        const describe = error => console.log(error.name, error.code, error instanceof lib.TaskMasterError);
+        try { tm.getTask('DOC-00000000'); } catch (error) { describe(error); }
+        const task = tm.createTask('docs', 'Typed', '', { quiet: true });
+        try { tm.updateTask(task.id, { status: 'review' }); } catch (error) { describe(error); }
+        try { tm.createTask('chores', 'Nope', '', { quiet: true }); } catch (error) { describe(error); }
+    ")
+    assert_contains "$output" "NotFoundError NOT_FOUND true" "Unknown tasks should throw NotFoundError"
+    assert_contains "$output" "TransitionError INVALID_TRANSITION true" "Illegal transitions should throw TransitionError"
+    assert_contains "$output" "ValidationError VALIDATION_FAILED true" "Unknown types should throw ValidationError"
+}
+it "should throw typed errors with stable codes" test_throws_typed_errors
+
+test_reports_config_errors_without_exiting() {
+    local output
+    output=$(node -e "
+        const lib = require(process.argv[1]);
+        try {
+            new lib.ClaudeTaskMaster({ cwd: process.argv[2] });
+        } catch (error) {
+            console.log(error.code, error.message);
+        }
+        try {
+            new lib.ClaudeTaskMaster({ cwd: process.argv[2], config: { taskCategories: {} } });
+        } catch (error) {
+            console.log(error.code, error.errors.map(e => e.path + ': ' + e.message).join('; '));
+        }
+        console.log('still running');
+    " "$TASK_MASTER_LIB" "$TEMP_DIR")
+    assert_contains "$output" "CONFIG_INVALID .claude-task-master.json not found" "Missing config should throw ConfigError"
+    assert_contains "$output" '(root): missing required field "automations"' "Invalid config objects should list their errors"
+    assert_contains "$output" "still running" "Library should never exit the process"
+}
+it "should report config errors without exiting" test_reports_config_errors_without_exiting
+
+# Shell quoting of interpolated values
+
+test_quotes_bare_values() {
+    local output
+    output=$(run_interpolated 'printf %s ${value}')
+    assert_equals "$HOSTILE_VALUE" "$output" "Bare value should reach the command as one literal word"
+}
+it "should quote values interpolated outside quotes" test_quotes_bare_values
+
+test_quotes_values_in_double_quotes() {
+    local output
+    output=$(run_interpolated 'printf %s "<${value}>"')
+    assert_equals "<$HOSTILE_VALUE>" "$output" "Value inside \"...\" should stay literal"
+}
+it "should escape values interpolated inside double quotes" test_quotes_values_in_double_quotes
+
+test_quotes_values_in_single_quotes() {
+    local output
+    output=$(run_interpolated "printf %s '<\${value}>'")
+    assert_equals "<$HOSTILE_VALUE>" "$output" "Value inside '...' should stay literal"
+}
+it "should escape values interpolated inside single quotes" test_quotes_values_in_single_quotes
+
+test_keeps_escaped_placeholders() {
+    local output
+    output=$(run_interpolated 'printf %s "\${value}"')
+    assert_equals '${value}' "$output" "Escaped placeholder should not be substituted"
+}
+it "should leave escaped placeholders alone" test_keeps_escaped_placeholders
+
+test_quotes_values_in_command_substitutions() {
+    local output
+    output=$(run_interpolated 'printf %s "$(printf %s ${value})"')
+    assert_equals "$HOSTILE_VALUE" "$output" "Value inside \"\$(...)\" should stay literal"
+    output=$(run_interpolated 'printf %s "`printf %s ${value}`"')
+    assert_equals "$HOSTILE_VALUE" "$output" "Value inside backticks should stay literal"
+    output=$(run_interpolated 'printf %s "$(printf %s "<${value}>")"')
+    assert_equals "<$HOSTILE_VALUE>" "$output" "Value in quotes nested in \$(...) should stay literal"
+}
+it "should keep values literal inside command substitutions" test_quotes_values_in_command_substitutions
+
+test_never_runs_values_as_code() {
+    local template
+    local value='a; touch injected; $(touch injected) `touch injected` '"'"'; touch injected; '"'"
+    for template in 'echo ${value}' 'echo "${value}"' "echo '\${value}'" 'echo $(echo ${value})' \
+        'echo "$(echo ${value})"' 'echo `echo ${value}`' 'echo "$(echo "$(echo ${value})")"' 'echo $((1 + 1)) ${value}'; do
+        run_interpolated "$template" "$value" > /dev/null 2>&1
+        assert_file_not_exists "$TEMP_DIR/injected" "Value should not run as code in: $template"
+        rm -f "$TEMP_DIR/injected"
+    done
+}
+it "should never run interpolated values as shell code" test_never_runs_values_as_code
+
+test_pastes_plain_words() {
+    local output
+    output=$(tm_eval "console.log(JSON.stringify(tm.interpolateCommand('git checkout -b feature/\${taskId}-\${slug} \${title}', {
+        taskId: 'FEAT-1A2B', slug: 'add-login', title: 'Add login'
+    })));")
+    assert_equals '{"command":"git checkout -b feature/FEAT-1A2B-add-login \"${TM_title}\"","env":{"TM_title":"Add login"}}' "$output" \
+        "Plain words should be pasted and other values passed through the environment"
+}
+it "should paste plain words into commands" test_pastes_plain_words
+
+test_raw_interpolation_pastes_unquoted() {
+    local command
+    command=$(tm_eval "process.stdout.write(tm.interpolateCommand('echo \${value}', { value: 'a; echo b' }, { raw: true }).command);")
+    assert_equals "echo a; echo b" "$command" "Raw interpolation should paste the value as is"
+}
+it "should paste values unquoted with raw interpolation" test_raw_interpolation_pastes_unquoted
+
+test_argv_steps_pass_values_verbatim() {
+    tm_eval "
+        const config = { ...lib.DEFAULT_CONFIG, workflows: { docs: { steps: [{
+            name: 'Echo title',
+            run: ['node', '-e', 'process.stdout.write(process.argv[1])', '\${title}'],
+            captureAs: 'echoed'
+        }] } } };
+        const runner = new lib.ClaudeTaskMaster({ cwd, config, logger: silent });
+        const task = runner.createTask('docs', args[0], '', { quiet: true });
+        Promise.resolve(runner.runWorkflow(task.id)).then(run => {
+            require('fs').writeFileSync(cwd + '/result.json', JSON.stringify(run));
+        });
+    " "$HOSTILE_VALUE" > /dev/null 2>&1
+
+    local status echoed
+    status=$(node -e "console.log(require(process.argv[1]).status)" "$TEMP_DIR/result.json" 2>/dev/null)
+    echoed=$(node -e "process.stdout.write(require(process.argv[1]).captured.echoed)" "$TEMP_DIR/result.json" 2>/dev/null)
+    assert_equals "completed" "$status" "Argv run should complete"
+    assert_equals "$HOSTILE_VALUE" "$echoed" "Argv step should receive the title as one untouched argument"
+}
+it "should pass values to argv steps without a shell" test_argv_steps_pass_values_verbatim
+
+# Config validation
+
+validate_config_text() {
+    tm_eval "
+        const { errors } = lib.validateConfigText(require('fs').readFileSync(args[0], 'utf8'));
+        errors.forEach(error => console.log(error.line + ':' + error.column + ' ' + error.path + ': ' + error.message));
+    " "$1"
+}
+
+test_locates_schema_errors() {
+    cat > "$TEMP_DIR/config.json" << 'EOF'
+{
+  "taskCategories": {
+    "docs": { "prefix": "DOC" },
+    "spike": { "description": "no prefix" }
+  },
+  "automations": { "preCommit": { "enabled": "yes", "checks": [] } }
+}
+EOF
+    local output
+    output=$(validate_config_text "$TEMP_DIR/config.json")
+    assert_contains "$output" '4:14 taskCategories.spike: missing required field "prefix"' "Missing field should point at its object"
+    assert_contains "$output" "6:46 automations.preCommit.enabled: must be a boolean" "Wrong type should point at the value"
+}
+it "should report schema errors with line and column" test_locates_schema_errors
+
+# Workflow fragments and extends
+
+test_resolves_includes_and_extends() {
+    local output
+    output=$(tm_eval "
+        const config = {
+            ...lib.DEFAULT_CONFIG,
+            workflowFragments: {
+                verify: [{ name: 'Lint', command: 'true' }, { include: 'test' }],
+                test: [{ name: 'Test', id: 'test', command: 'true' }]
+            },
+            workflows: {
+                feature: { steps: [{ name: 'Build', command: 'true' }, { include: 'verify' }] },
+                bugfix: {
+                    extends: 'feature',
+                    overrides: { test: { command: 'npm test', retries: 2 } },
+                    prepend: [{ name: 'Reproduce', manual: true }],
+                    append: [{ include: 'test' }]
+                }
+            }
+        };
+        const resolved = new lib.ClaudeTaskMaster({ cwd, config, logger: silent }).config.workflows;
+        console.log(resolved.feature.steps.map(step => step.name).join(','));
+        console.log(resolved.bugfix.steps.map(step => step.name).join(','));
+        console.log(resolved.bugfix.steps[3].command, resolved.bugfix.steps[3].retries, resolved.feature.steps[2].command);
+    ")
+    assert_contains "$output" "Build,Lint,Test" "Nested fragments should expand in place"
+    assert_contains "$output" "Reproduce,Build,Lint,Test,Test" "extends should inherit steps with prepend and append around them"
+    assert_contains "$output" "npm test 2 true" "Overrides should patch only the inheriting workflow"
+}
+it "should resolve fragments, extends and overrides" test_resolves_includes_and_extends
+
+test_reports_workflow_reference_errors() {
+    cat > "$TEMP_DIR/config.json" << 'EOF'
+{
+  "taskCategories": { "docs": { "prefix": "DOC" }, "bugfix": { "prefix": "BUG" }, "feature": { "prefix": "FEAT" } },
+  "automations": { "preCommit": { "enabled": false, "checks": [] } },
+  "workflowFragments": {
+    "a": [{ "include": "b" }],
+    "b": [{ "include": "a" }]
+  },
+  "workflows": {
+    "docs": { "steps": [{ "include": "missing" }] },
+    "bugfix": { "extends": "feature", "overrides": { "Nope": { "retries": 1 } } },
+    "feature": { "extends": "bugfix" }
+  }
+}
+EOF
+    local output
+    output=$(validate_config_text "$TEMP_DIR/config.json")
+    assert_contains "$output" 'workflowFragments.b[0].include: include cycle: a → b → a' "Include cycles should be reported"
+    assert_contains "$output" 'workflows.docs.steps[0].include: unknown fragment "missing"' "Unknown fragments should be reported"
+    assert_contains "$output" 'extends cycle: bugfix → feature → bugfix' "Extends cycles should be reported"
+    assert_contains "$output" '10:62 workflows.bugfix.overrides.Nope: no step with id or name "Nope" to override' "Unknown override targets should be located"
+}
+it "should report broken workflow references" test_reports_workflow_reference_errors
+
+test_rejects_extends_with_steps() {
+    cat > "$TEMP_DIR/config.json" << 'EOF'
+{
+  "taskCategories": { "docs": { "prefix": "DOC" }, "bugfix": { "prefix": "BUG" } },
+  "automations": { "preCommit": { "enabled": false, "checks": [] } },
+  "workflows": {
+    "docs": { "steps": [{ "name": "a", "command": "true" }] },
+    "bugfix": { "extends": "docs", "steps": [{ "name": "b", "command": "true" }] }
+  }
+}
+EOF
+    local output
+    output=$(validate_config_text "$TEMP_DIR/config.json")
+    assert_contains "$output" 'workflows.bugfix.steps: cannot be combined with "extends"' "extends plus steps should be rejected"
+}
+it "should reject workflows with both extends and steps" test_rejects_extends_with_steps
+
+# Workflow steps
+
+# Run a one-step docs workflow with the given command; the snippet sees the
+# task master as `tm` and should call tm.runWorkflow(taskId)
+run_step_eval() {
+    local command="$1" script="$2"
+    tm_eval "
+        const { Writable } = require('stream');
+        const capture = () => Object.assign(new Writable({
+            write(chunk, encoding, done) { this.text += chunk; done(); }
+        }), { text: '' });
+        const config = { ...lib.DEFAULT_CONFIG, workflows: { docs: { steps: [{ name: 'Step', command: args[0] }] } } };
+        const make = options => new lib.ClaudeTaskMaster({ cwd, config, logger: { log() {}, error() {} }, ...options });
+        const taskId = make().createTask('docs', 'Steps', '', { quiet: true }).id;
+        (async () => { $script })();
+    " "$command"
+}
+
+test_step_output_stays_off_the_terminal() {
+    local output
+    output=$(run_step_eval 'echo to-stdout; echo to-stderr >&2; read line || echo no-stdin' "
+        await make().runWorkflow(taskId);
+        console.log('done');
+    " 2>&1 < <(echo typed))
+    assert_equals "done" "$output" "Library runs should not write step output or read our stdin"
+}
+it "should keep step output off the terminal by default" test_step_output_stays_off_the_terminal
+
+test_step_output_reaches_given_streams() {
+    local output
+    output=$(run_step_eval 'echo to-stdout; echo to-stderr >&2' "
+        const stdout = capture();
+        const stderr = capture();
+        await make({ stdout, stderr }).runWorkflow(taskId);
+        console.log(JSON.stringify([stdout.text, stderr.text]));
+    " 2>/dev/null)
+    assert_equals '["to-stdout\n","to-stderr\n"]' "$output" "Step output should be teed to the given streams"
+}
+it "should tee step output to the given streams" test_step_output_reaches_given_streams
+
+# Task index
+
+test_create_updates_index_in_place() {
+    local output
+    output=$(tm_eval "
+        const fs = require('fs');
+        for (let i = 0; i < 5; i++) {
+            tm.createTask('docs', 'Existing ' + i, '', { quiet: true });
+        }
+        const readFileSync = fs.readFileSync;
+        let taskReads = 0;
+        fs.readFileSync = (file, ...rest) => {
+            taskReads += /DOC-[^/]*\\.json$/.test(String(file));
+            return readFileSync(file, ...rest);
+        };
+        tm.createTask('docs', 'New', '', { quiet: true });
+        fs.readFileSync = readFileSync;
+        console.log(taskReads, tm.loadTaskSummaries().length);
+    ")
+    assert_equals "0 6" "$output" "Creating a task should not reread every task file"
+}
+it "should add new tasks to the index without rebuilding it" test_create_updates_index_in_place
+
+test_rebuilds_missing_index_on_update() {
+    local output
+    output=$(tm_eval "
+        tm.createTask('docs', 'First', '', { quiet: true });
+        require('fs').unlinkSync(tm.getIndexFile());
+        tm.createTask('docs', 'Second', '', { quiet: true });
+        console.log(Object.keys(tm.readIndexFile().tasks).length);
+    ")
+    assert_equals "2" "$output" "A missing index should be rebuilt from every task file"
+}
+it "should rebuild a missing index when adding a task" test_rebuilds_missing_index_on_update
+
+test_lint_knows_every_task_field() {
+    git -C "$TEMP_DIR" init -q
+    local output
+    output=$(tm_eval "
+        const task = tm.createTask('docs', 'Everything', 'Desc', { quiet: true, source: { kind: 'test' } });
+        tm.updateTask(task.id, { status: 'in_progress' });
+        tm.addNote(task.id, 'note', { author: 'ann' });
+        tm.logTime(task.id, { minutes: 1 });
+        tm.updateTask(task.id, { branch: 'docs/everything' });
+        const names = Object.keys(tm.buildRunContext(tm.getTask(task.id)));
+        const command = 'echo ' + names.map(name => '\${' + name + '}').join(' ');
+        tm.config.workflows = { docs: { steps: [{ name: 'All', command }] } };
+        const unknown = tm.lintWorkflows().filter(problem => problem.message.startsWith('unknown variable'));
+        console.log(names.length > 20, JSON.stringify(unknown.map(problem => problem.message)));
+    ")
+    assert_equals "true []" "$output" "Lint should know every variable a run context holds"
+}
+it "should lint every task field as a known variable" test_lint_knows_every_task_field
+
+# Advisory locks
+
+test_breaks_stale_locks() {
+    local dead_pid
+    sh -c 'exit 0' &
+    dead_pid=$!
+    wait "$dead_pid"
+
+    local output
+    output=$(tm_eval "
+        const target = cwd + '/file';
+        const host = require('os').hostname();
+        require('fs').writeFileSync(target + '.lock', JSON.stringify({ pid: Number(args[0]), host }));
+        const started = Date.now();
+        console.log(tm.withLock(target, () => 'acquired'), Date.now() - started < 2000);
+    " "$dead_pid")
+    assert_equals "acquired true" "$output" "Lock of a dead process should be broken at once"
+    assert_file_not_exists "$TEMP_DIR/file.lock" "Lock file should be removed after use"
+}
+it "should break locks left by dead processes" test_breaks_stale_locks
+
+test_times_out_on_held_locks() {
+    local output
+    output=$(tm_eval "
+        const target = cwd + '/file';
+        const host = require('os').hostname();
+        require('fs').writeFileSync(target + '.lock', JSON.stringify({ pid: process.pid, host }));
+        try {
+            tm.withLock(target, () => {});
+            console.log('acquired');
+        } catch (error) {
+            console.log(error.name, error.code);
+        }
+    ")
+    assert_equals "LockTimeoutError LOCK_TIMEOUT" "$output" "Lock held by a live process should time out"
+}
+it "should time out on locks held by live processes" test_times_out_on_held_locks
+
+# Notes journal
+
+test_notes_are_append_only() {
+    local output
+    output=$(tm_eval "
+        const task = tm.createTask('docs', 'Journal', '', { quiet: true });
+        tm.addNote(task.id, 'first', { author: 'ann' });
+        try {
+            tm.updateTask(task.id, { notes: [{ at: 'now', author: 'ann', text: 'rewritten' }] });
+        } catch (error) {
+            console.log(error.name + ': ' + error.message);
+        }
+        console.log(tm.getTask(task.id).notes.map(note => note.author + ':' + note.text).join(','));
+    ")
+    assert_contains "$output" "ValidationError: Notes on DOC-" "Rewriting notes should be rejected"
+    assert_contains "$output" "are append-only; use addNote" "Error should point at addNote"
+    assert_contains "$output" "ann:first" "Existing notes should be untouched"
+}
+it "should keep notes append-only" test_notes_are_append_only
+
+test_serializes_concurrent_writers() {
+    local task_id
+    task_id=$(tm_eval "console.log(tm.createTask('docs', 'Locked', '', { quiet: true }).id);")
+
+    local pids=()
+    for writer in 1 2 3 4; do
+        tm_eval "
+            for (let i = 0; i < 5; i++) {
+                tm.addNote(args[0], 'writer ' + args[1] + ' note ' + i, { author: 'test' });
+            }
+        " "$task_id" "$writer" &
+        pids+=($!)
+    done
+    for pid in "${pids[@]}"; do
+        wait "$pid"
+    done
+
+    local count
+    count=$(tm_eval "console.log(tm.getTask(args[0]).notes.length);" "$task_id")
+    assert_equals "20" "$count" "Every concurrent note should be kept"
+}
+it "should serialize concurrent writers" test_serializes_concurrent_writers
+
+# Print test summary
+source "$(dirname "$0")/../helpers/test-summary.sh"
+print_test_summary
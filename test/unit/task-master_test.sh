@@ -0,0 +1,1205 @@
+#!/bin/bash
+# ABOUTME: Unit tests for the task master CLI (scripts/task-master.example.js)
+
+# Source test framework
+source "$(dirname "$0")/../helpers/test-framework.sh"
+
+# The file to be tested
+TASK_MASTER="$(cd "$(dirname "$0")/../../scripts" && pwd)/task-master.example.js"
+
+describe "Task Master CLI"
+
+# Every test runs in a fresh git project with the default test config
+setup_project() {
+    TEMP_DIR=$(create_temp_dir)
+    git -C "$TEMP_DIR" init -q
+    git -C "$TEMP_DIR" config user.name "Test User"
+    git -C "$TEMP_DIR" config user.email "test@example.com"
+    write_config '{ "feature": { "steps": [{ "name": "Finish", "command": "true" }] } }'
+}
+setup setup_project
+
+teardown_project() {
+    cleanup_temp_dir "$TEMP_DIR"
+}
+teardown teardown_project
+
+# Write .claude-task-master.json with the given workflows object and any
+# further top-level entries (e.g. '"lifecycle": {...}')
+write_config() {
+    local workflows="$1"
+    local extra="${2:+,
+  $2}"
+    cat > "$TEMP_DIR/.claude-task-master.json" << EOF
+{
+  "taskCategories": {
+    "feature": { "prefix": "FEAT", "description": "New functionality" },
+    "docs": { "prefix": "DOC", "description": "Documentation only" }
+  },
+  "workflows": $workflows,
+  "automations": { "preCommit": { "enabled": false, "checks": [] } }$extra
+}
+EOF
+}
+
+# Run task master in the test project
+tm() {
+    (cd "$TEMP_DIR" && node "$TASK_MASTER" "$@")
+}
+
+# Create a task and print its ID
+create_task() {
+    tm create "$@" | sed -n 's/^✓ Task created: //p'
+}
+
+# Read a field of a stored task with a JavaScript expression over `task`
+task_field() {
+    local task_id="$1"
+    local expression="$2"
+    node -e "const task = require(process.argv[1]); console.log($expression)" \
+        "$TEMP_DIR/.claude/tasks/$task_id.json"
+}
+
+# Dependencies (user-001)
+
+test_blocks_tasks_on_open_dependencies() {
+    local first second output
+    first=$(create_task feature "First")
+    second=$(create_task feature "Second" --depends-on "$first")
+
+    output=$(tm list)
+    assert_contains "$output" "○ $first" "Task without dependencies should be ready"
+    assert_contains "$output" "⧗ $second" "Task with an open dependency should be blocked"
+    assert_contains "$output" "[blocked by $first]" "Blocking task should be named"
+
+    tm run "$first" > /dev/null 2>&1
+    output=$(tm list)
+    assert_contains "$output" "○ $second" "Task should be ready once its dependency completes"
+}
+it "should derive blocked and ready from dependencies" test_blocks_tasks_on_open_dependencies
+
+test_rejects_dependency_cycles() {
+    local first second output
+    first=$(create_task feature "First")
+    second=$(create_task feature "Second" --depends-on "$first")
+
+    output=$(tm depend "$first" "$second" 2>&1)
+    assert_exit_code 1 $? "Closing a cycle should fail"
+    assert_contains "$output" "Dependency cycle detected: $first → $second → $first" "Cycle should be reported"
+
+    output=$(tm depend "$first" "$first" 2>&1)
+    assert_contains "$output" "cannot depend on itself" "Self-dependency should be rejected"
+    assert_equals "0" "$(task_field "$first" '(task.dependsOn || []).length')" "Rejected links should not be stored"
+}
+it "should reject dependency cycles" test_rejects_dependency_cycles
+
+test_next_picks_first_ready_task() {
+    local first second
+    first=$(create_task feature "First")
+    second=$(create_task feature "Second" --depends-on "$first")
+
+    assert_contains "$(tm next)" "$first: First" "Oldest ready task should be next"
+    tm run "$first" > /dev/null 2>&1
+    assert_contains "$(tm next)" "$second: Second" "Unblocked task should be next"
+}
+it "should pick the next ready task" test_next_picks_first_ready_task
+
+# Resumable runs (user-002)
+
+# Read a field of a stored run record with a JavaScript expression over `run`
+run_field() {
+    local task_id="$1"
+    local run_number="$2"
+    local expression="$3"
+    node -e "const run = require(process.argv[1]); console.log($expression)" \
+        "$TEMP_DIR/.claude/tasks/$task_id/runs/$run_number.json"
+}
+
+write_three_step_config() {
+    write_config '{ "feature": { "steps": [
+        { "name": "One", "command": "echo one >> trail" },
+        { "name": "Gate", "command": "test -f ok" },
+        { "name": "Three", "command": "echo three >> trail" }
+    ] } }'
+}
+
+test_records_failed_runs() {
+    write_three_step_config
+    local task_id
+    task_id=$(create_task feature "Release")
+
+    tm run "$task_id" > /dev/null 2>&1
+    assert_exit_code 1 $? "Failed step should fail the run"
+    assert_equals "failed" "$(run_field "$task_id" 0001 'run.status')" "Run record should be failed"
+    assert_equals "completed,failed,pending" "$(run_field "$task_id" 0001 'run.steps.map(s => s.status).join()')" \
+        "Each step status should be recorded"
+    assert_equals "1" "$(run_field "$task_id" 0001 'run.steps[1].exitCode')" "Exit code should be recorded"
+    assert_equals "true" "$(run_field "$task_id" 0001 'Boolean(run.steps[0].started && run.steps[0].ended)')" \
+        "Start and end times should be recorded"
+}
+it "should persist a run record per run" test_records_failed_runs
+
+test_resumes_at_failed_step() {
+    write_three_step_config
+    local task_id
+    task_id=$(create_task feature "Release")
+    tm run "$task_id" > /dev/null 2>&1
+
+    touch "$TEMP_DIR/ok"
+    tm run "$task_id" --resume > /dev/null 2>&1
+    assert_exit_code 0 $? "Resumed run should succeed"
+    assert_equals "one three" "$(echo $(cat "$TEMP_DIR/trail"))" "Completed steps should not run again"
+    assert_equals "1" "$(run_field "$task_id" 0002 'run.resumedFrom')" "Resumed run should point at the failed run"
+    assert_equals "completed,completed,completed" "$(run_field "$task_id" 0002 'run.steps.map(s => s.status).join()')" \
+        "Resumed run should carry completed steps over"
+}
+it "should resume a failed run at the failed step" test_resumes_at_failed_step
+
+test_starts_from_given_step() {
+    write_three_step_config
+    local task_id output
+    task_id=$(create_task feature "Release")
+
+    output=$(tm run "$task_id" --from-step 9 2>&1)
+    assert_contains "$output" "--from-step must be between 1 and 3" "Out of range step should be rejected"
+
+    tm run "$task_id" --from-step 3 > /dev/null 2>&1
+    assert_equals "three" "$(cat "$TEMP_DIR/trail")" "Only steps from the given one should run"
+}
+it "should start a run from a given step" test_starts_from_given_step
+
+# Timeouts, retries and continueOnError (user-003)
+
+test_retries_with_backoff() {
+    write_config '{ "feature": { "steps": [
+        { "name": "Flaky", "command": "echo x >> attempts; test $(wc -l < attempts) -ge 3", "retries": 2, "retryDelayMs": 100 }
+    ] } }'
+    local task_id
+    task_id=$(create_task feature "Flaky")
+
+    tm run "$task_id" > /dev/null 2>&1
+    assert_exit_code 0 $? "Step should pass on its third attempt"
+    assert_equals "1,1,0" "$(run_field "$task_id" 0001 'run.steps[0].attempts.map(a => a.exitCode).join()')" \
+        "Every attempt should be recorded"
+    assert_equals "true" "$(run_field "$task_id" 0001 '(([a, b, c]) => {
+        const gap = (from, to) => new Date(to.started) - new Date(from.ended);
+        return gap(a, b) >= 100 && gap(b, c) >= 200;
+    })(run.steps[0].attempts)')" "Delay should double between attempts"
+}
+it "should retry failed steps with exponential backoff" test_retries_with_backoff
+
+test_times_out_hung_steps() {
+    write_config '{ "feature": { "steps": [{ "name": "Hang", "command": "sleep 5", "timeoutMs": 300 }] } }'
+    local task_id started elapsed
+    task_id=$(create_task feature "Hang")
+
+    started=$(date +%s)
+    tm run "$task_id" > /dev/null 2>&1
+    elapsed=$(( $(date +%s) - started ))
+    assert_true "[ $elapsed -lt 4 ]" "Hung step should be stopped at its timeout"
+    assert_equals "124" "$(run_field "$task_id" 0001 'run.steps[0].exitCode')" "Timeout should exit with 124"
+    assert_equals "true" "$(run_field "$task_id" 0001 'run.steps[0].attempts[0].timedOut')" "Attempt should be marked timed out"
+}
+it "should stop steps that exceed timeoutMs" test_times_out_hung_steps
+
+test_times_out_whole_process_group() {
+    write_config '{ "feature": { "steps": [{ "name": "Stubborn", "command": "sleep 30 & echo $! > grandchild.pid; trap \"\" TERM; sleep 4", "timeoutMs": 300 }] } }'
+    local task_id started elapsed
+    task_id=$(create_task feature "Stubborn")
+
+    started=$(date +%s)
+    tm run "$task_id" > /dev/null 2>&1
+    elapsed=$(( $(date +%s) - started ))
+    assert_true "[ $elapsed -lt 3 ]" "Step ignoring SIGTERM should be killed after a grace period"
+    assert_equals "124" "$(run_field "$task_id" 0001 'run.steps[0].exitCode')" "Timeout should exit with 124"
+    assert_file_exists "$TEMP_DIR/grandchild.pid" "Step should have started its background process"
+    assert_false "kill -0 $(cat "$TEMP_DIR/grandchild.pid") 2>/dev/null" "Processes started by the step should be stopped too"
+}
+it "should stop everything a timed-out step started" test_times_out_whole_process_group
+
+test_continues_on_error() {
+    write_config '{ "feature": { "steps": [
+        { "name": "Optional", "command": "exit 3", "continueOnError": true },
+        { "name": "After", "command": "touch after" }
+    ] } }'
+    local task_id
+    task_id=$(create_task feature "Optional")
+
+    tm run "$task_id" > /dev/null 2>&1
+    assert_exit_code 0 $? "Run should succeed past a tolerated failure"
+    assert_file_exists "$TEMP_DIR/after" "Following step should run"
+    assert_equals "failed true" "$(run_field "$task_id" 0001 'run.steps[0].status + " " + run.steps[0].continuedOnError')" \
+        "Tolerated failure should be recorded"
+}
+it "should continue past steps with continueOnError" test_continues_on_error
+
+# Captured step output (user-004)
+
+test_captures_step_output() {
+    write_config '{ "feature": { "steps": [
+        { "name": "Build id", "command": "echo \"  42  \"", "captureAs": "buildId" },
+        { "name": "Build info", "command": "echo \"{\\\"version\\\": \\\"1.2.3\\\"}\"", "captureAs": "buildInfo", "captureFormat": "json" },
+        { "name": "Use", "command": "echo ${buildId}-${buildInfo.version} > used; test -f ok" }
+    ] } }'
+    local task_id
+    task_id=$(create_task feature "Chained")
+
+    tm run "$task_id" > /dev/null 2>&1
+    assert_equals "42-1.2.3" "$(cat "$TEMP_DIR/used")" "Trimmed text and JSON paths should be substituted"
+    assert_equals "1.2.3" "$(run_field "$task_id" 0001 'run.captured.buildInfo.version')" "Captured values should be stored on the run"
+
+    rm "$TEMP_DIR/used"
+    touch "$TEMP_DIR/ok"
+    tm run "$task_id" --resume > /dev/null 2>&1
+    assert_equals "42-1.2.3" "$(cat "$TEMP_DIR/used")" "Captured values should survive a resume"
+}
+it "should capture step output for later steps" test_captures_step_output
+
+test_fails_on_unparsable_json() {
+    write_config '{ "feature": { "steps": [
+        { "name": "Info", "command": "echo not-json", "captureAs": "info", "captureFormat": "json" }
+    ] } }'
+    local task_id output
+    task_id=$(create_task feature "Broken")
+
+    output=$(tm run "$task_id" 2>&1)
+    assert_exit_code 1 $? "Unparsable output should fail the run"
+    assert_contains "$output" 'Could not parse output of "Info" as json' "Parse failure should be reported"
+}
+it "should fail the run when captured JSON does not parse" test_fails_on_unparsable_json
+
+# Conditional steps (user-005)
+
+test_skips_steps_by_when() {
+    write_config '{ "feature": { "steps": [
+        { "name": "Lint", "command": "exit 2", "continueOnError": true },
+        { "name": "Fix", "command": "touch fixed", "when": "steps.lint.failed && steps.lint.exitCode == 2" },
+        { "name": "Deploy", "command": "touch deployed", "when": "type == '"'docs'"'" },
+        { "name": "Report", "command": "touch reported", "when": "!(steps.lint.succeeded || steps.deploy.succeeded) && title != null" }
+    ] } }'
+    local task_id
+    task_id=$(create_task feature "Gated")
+
+    tm run "$task_id" > /dev/null 2>&1
+    assert_file_exists "$TEMP_DIR/fixed" "Step whose condition holds should run"
+    assert_file_not_exists "$TEMP_DIR/deployed" "Step whose condition fails should not run"
+    assert_file_exists "$TEMP_DIR/reported" "Negation, grouping and || should evaluate"
+    assert_equals "skipped when: type == 'docs'" "$(run_field "$task_id" 0001 'run.steps[2].status + " " + run.steps[2].skipReason')" \
+        "Skipped step should record why"
+}
+it "should skip steps whose when expression is false" test_skips_steps_by_when
+
+# Run a one-step workflow gated by the given when expression and print the output
+run_when() {
+    local expression="$1"
+    write_config "{ \"feature\": { \"steps\": [{ \"name\": \"Gated\", \"command\": \"touch ran\", \"when\": \"$expression\" }] } }"
+    local task_id
+    task_id=$(create_task feature "Gated" 2> /dev/null)
+    tm run "$task_id" 2>&1
+}
+
+test_reports_when_parse_errors() {
+    local output
+    output=$(run_when 'status ==')
+    assert_exit_code 1 $? "Parse error should fail the run"
+    assert_contains "$output" 'Invalid when expression "status ==": unexpected end of expression' "Dangling operator should be reported"
+    assert_contains "$(run_when '(status')" "missing closing parenthesis" "Unclosed group should be reported"
+    assert_contains "$(run_when 'status; rm -rf .')" "unexpected character at 6" "Unknown characters should be reported"
+    assert_contains "$(run_when "constructor.constructor('touch ran')()")" 'unexpected "("' "Calls should not parse"
+    assert_file_not_exists "$TEMP_DIR/ran" "Gated step should never run"
+}
+it "should report when expression parse errors" test_reports_when_parse_errors
+
+# Manual step approval (user-006)
+
+write_manual_config() {
+    write_config '{ "feature": { "steps": [
+        { "name": "Build", "command": "touch built" },
+        { "name": "Review", "manual": true },
+        { "name": "Ship", "command": "touch shipped" }
+    ] } }'
+}
+
+test_pauses_and_approves_manual_steps() {
+    write_manual_config
+    local task_id output
+    task_id=$(create_task feature "Reviewed")
+
+    output=$(tm run "$task_id" < /dev/null 2>&1)
+    assert_exit_code 0 $? "Pausing for approval should not fail"
+    assert_contains "$output" "task-master approve $task_id 2" "Approval command should be shown"
+    assert_equals "waiting" "$(run_field "$task_id" 0001 'run.status')" "Run should wait for approval"
+    assert_file_not_exists "$TEMP_DIR/shipped" "Steps after the manual one should wait"
+
+    output=$(tm approve "$task_id" review --by Alice --comment "LGTM" 2>&1)
+    assert_exit_code 0 $? "Approval should continue the run"
+    assert_file_exists "$TEMP_DIR/shipped" "Remaining steps should run after approval"
+    assert_equals "completed approved Alice LGTM" \
+        "$(run_field "$task_id" 0001 '[run.status, run.steps[1].approval.decision, run.steps[1].approval.by, run.steps[1].approval.comment].join(" ")')" \
+        "Approval should be recorded on the step"
+}
+it "should pause manual steps until approved" test_pauses_and_approves_manual_steps
+
+test_rejects_manual_steps() {
+    write_manual_config
+    local task_id output
+    task_id=$(create_task feature "Rejected")
+    tm run "$task_id" > /dev/null 2>&1
+
+    output=$(tm reject "$task_id" 2 --by Bob --reason "Missing docs" 2>&1)
+    assert_exit_code 1 $? "Rejection should fail the run"
+    assert_contains "$output" "rejected by Bob: Missing docs" "Rejection should be reported"
+    assert_equals "failed rejected" "$(run_field "$task_id" 0001 'run.status + " " + run.steps[1].approval.decision')" \
+        "Rejection should be recorded"
+    assert_file_not_exists "$TEMP_DIR/shipped" "Rejected run should stop"
+
+    output=$(tm approve "$task_id" 2 2>&1)
+    assert_contains "$output" "has no run waiting for approval" "Closed run should not accept approvals"
+}
+it "should fail the run when a manual step is rejected" test_rejects_manual_steps
+
+# Run logs (user-007)
+
+test_logs_step_output_per_run() {
+    write_config '{ "feature": { "steps": [
+        { "name": "Talk", "command": "echo out-line; echo err-line >&2" },
+        { "name": "Quiet", "command": "echo second-step" }
+    ] } }'
+    local task_id output
+    task_id=$(create_task feature "Logged")
+
+    output=$(tm run "$task_id" 2>&1)
+    assert_contains "$output" "out-line" "Step output should still be shown"
+    assert_equals "out-line" "$(cat "$TEMP_DIR/.claude/tasks/$task_id/runs/0001/01-talk.1.stdout.log")" "Stdout should be logged per step"
+    assert_equals "err-line" "$(cat "$TEMP_DIR/.claude/tasks/$task_id/runs/0001/01-talk.1.stderr.log")" "Stderr should be logged per step"
+
+    output=$(tm logs "$task_id")
+    assert_contains "$output" "Run 1 of $task_id: completed" "Latest run should be shown"
+    assert_contains "$output" "Step 1: Talk (completed, exit 0" "Step status should be shown"
+    assert_contains "$output" $'out-line\n   [stderr]\nerr-line' "Stdout and stderr should be shown"
+
+    output=$(tm logs "$task_id" --run 1 --step 2)
+    assert_contains "$output" "second-step" "Selected step should be shown"
+    assert_not_contains "$output" "out-line" "Other steps should be left out"
+}
+it "should log step output per run and show it with logs" test_logs_step_output_per_run
+
+test_streams_step_output_live() {
+    local task_id pid
+    write_config '{ "feature": { "steps": [{ "name": "Slow", "command": "echo first; sleep 2; echo second" }] } }'
+    task_id=$(create_task feature "Stream")
+
+    tm run "$task_id" > "$TEMP_DIR/out.txt" 2>&1 &
+    pid=$!
+    sleep 1
+    assert_equals "1" "$(grep -cx first "$TEMP_DIR/out.txt")" "Output should appear while the step runs"
+    assert_equals "0" "$(grep -cx second "$TEMP_DIR/out.txt")" "Later output should not appear early"
+    wait "$pid"
+
+    assert_equals "1" "$(grep -cx second "$TEMP_DIR/out.txt")" "All output should reach the terminal"
+    assert_equals "first
+second" "$(cat "$TEMP_DIR"/.claude/tasks/"$task_id"/runs/0001/01-slow.1.stdout.log)" "All output should reach the log"
+}
+it "should stream step output while it is logged" test_streams_step_output_live
+
+# Subtasks (user-008)
+
+test_rolls_up_subtask_progress() {
+    local epic first second output
+    epic=$(create_task feature "Epic")
+    first=$(create_task feature "First part" --parent "$epic")
+    second=$(create_task docs "Second part" --parent "$epic")
+
+    assert_contains "$(tm list)" "$epic: Epic (feature" "Epic should be listed"
+    assert_contains "$(tm list | grep "$epic")" "[0/2 done]" "Progress should count open subtasks"
+
+    tm run "$first" > /dev/null 2>&1
+    assert_contains "$(tm list | grep "$epic")" "[1/2 done]" "Progress should count completed subtasks"
+
+    output=$(tm list --tree)
+    assert_contains "$output" "├─ " "Subtasks should be drawn under their epic"
+    assert_contains "$(echo "$output" | grep -A2 "$epic")" "$second: Second part" "Last subtask should follow the epic"
+
+    output=$(tm create feature "Orphan" --parent FEAT-MISSING 2>&1)
+    assert_contains "$output" "Task not found: FEAT-MISSING" "Unknown parent should be rejected"
+}
+it "should roll subtask progress up to the epic" test_rolls_up_subtask_progress
+
+test_keeps_epics_open_while_subtasks_are() {
+    local epic output
+    epic=$(create_task feature "Epic")
+    create_task feature "Part" --parent "$epic" > /dev/null
+
+    output=$(tm run "$epic" 2>&1)
+    assert_exit_code 0 $? "Run itself should succeed"
+    assert_contains "$output" "$epic stays in_progress: 1 open subtask(s) outstanding" "Run should explain why the epic stays open"
+    assert_equals "in_progress" "$(task_field "$epic" 'task.status')" "Epic should stay open"
+    assert_equals "completed" "$(run_field "$epic" 0001 'run.status')" "Run should be recorded as completed"
+
+    output=$(tm done "$epic" 2>&1)
+    assert_contains "$output" "1 subtask(s) still open" "Completing an epic by hand should still be refused"
+}
+it "should not complete epics with open subtasks" test_keeps_epics_open_while_subtasks_are
+
+# Lifecycle (user-009)
+
+test_moves_tasks_through_the_lifecycle() {
+    local task_id output
+    task_id=$(create_task docs "Guide")
+    assert_equals "pending" "$(task_field "$task_id" 'task.status')" "New task should start pending"
+
+    output=$(tm done "$task_id" 2>&1)
+    assert_exit_code 1 $? "Skipping states should fail"
+    assert_contains "$output" "Cannot move $task_id from pending to completed (allowed: in_progress, blocked, cancelled)" \
+        "Allowed transitions should be listed"
+
+    tm start "$task_id" > /dev/null
+    tm review "$task_id" > /dev/null
+    assert_contains "$(tm done "$task_id" --reason "Shipped")" "$task_id is now completed" "Done should complete a reviewed task"
+    assert_equals "pending>in_progress in_progress>review review>completed:Shipped:Test User" \
+        "$(task_field "$task_id" 'task.statusHistory.map(h => h.from + ">" + h.to).join(" ") + ":" + task.statusHistory[2].reason + ":" + task.statusHistory[2].by')" \
+        "Every transition should be recorded with reason and author"
+
+    output=$(tm start "$task_id" 2>&1)
+    assert_contains "$output" "(completed is final)" "Final statuses should not be left"
+}
+it "should move tasks through the lifecycle with history" test_moves_tasks_through_the_lifecycle
+
+test_blocks_with_a_reason() {
+    local task_id output
+    task_id=$(create_task docs "Guide")
+
+    output=$(tm block "$task_id" 2>&1)
+    assert_contains "$output" "--reason <text>" "Blocking should require a reason"
+    tm block "$task_id" --reason "Waiting on API" > /dev/null
+    assert_contains "$(tm list)" "⧗ $task_id" "Blocked task should not be ready"
+    assert_equals "No ready tasks" "$(tm next)" "Blocked task should not be next"
+}
+it "should require a reason to block a task" test_blocks_with_a_reason
+
+test_uses_configured_lifecycle() {
+    write_config '{}' '"lifecycle": { "initial": "todo", "transitions": { "todo": ["doing"], "doing": ["completed"], "completed": [] } }'
+    local task_id output
+    task_id=$(create_task docs "Custom")
+
+    assert_equals "todo" "$(task_field "$task_id" 'task.status')" "Configured initial status should be used"
+    output=$(tm start "$task_id" 2>&1)
+    assert_contains "$output" 'Unknown status "in_progress". Known statuses: todo, doing, completed' \
+        "Statuses outside the lifecycle should be rejected"
+}
+it "should follow a lifecycle from the config" test_uses_configured_lifecycle
+
+# List filters (user-010)
+
+# Run list with --json and print the task titles, space separated
+list_titles() {
+    tm list --json "$@" | node -e "
+        const tasks = JSON.parse(require('fs').readFileSync(0, 'utf8'));
+        console.log(tasks.map(task => task.title).join(' '));
+    "
+}
+
+test_filters_and_sorts_list() {
+    local beta
+    create_task docs "Alpha" > /dev/null
+    beta=$(create_task feature "Beta")
+    create_task docs "Gamma" > /dev/null
+    tm start "$beta" > /dev/null
+
+    assert_equals "Gamma Beta Alpha" "$(list_titles)" "Newest tasks should come first by default"
+    assert_equals "Alpha Gamma" "$(list_titles --type docs --sort title)" "Type filter and sort should apply"
+    assert_equals "Beta" "$(list_titles --status in_progress)" "Status filter should apply"
+    assert_equals "Alpha" "$(list_titles --search aLp)" "Search should be case-insensitive"
+    assert_equals "Alpha Beta" "$(list_titles --sort title --limit 2)" "Limit should cut the sorted list"
+    assert_equals "Gamma Beta Alpha" "$(list_titles --since 1d)" "Relative since should include recent tasks"
+    assert_equals "" "$(list_titles --until 2000-01-01)" "Until should exclude later tasks"
+}
+it "should filter, search, sort and limit the list" test_filters_and_sorts_list
+
+test_rejects_bad_list_options() {
+    local output limit
+    create_task docs "Alpha" > /dev/null
+    assert_contains "$(tm list --sort bogus 2>&1)" 'Cannot sort by "bogus"' "Unknown sort field should be rejected"
+    assert_contains "$(tm list --since yesterday 2>&1)" 'Invalid date "yesterday"' "Unparsable dates should be rejected"
+    for limit in abc 0 -1 1.5; do
+        output=$(tm list --limit "$limit" 2>&1)
+        assert_exit_code 1 $? "Limit $limit should be rejected"
+        assert_contains "$output" "Invalid limit \"$limit\" (use a positive whole number)" "Bad limit $limit should be explained"
+    done
+}
+it "should reject unknown sort fields, dates and limits" test_rejects_bad_list_options
+
+test_indexes_only_listing_fields() {
+    local task_id
+    task_id=$(create_task feature "Slim")
+    tm note "$task_id" "Kept in the task file" > /dev/null
+    tm run "$task_id" > /dev/null
+
+    assert_equals "undefined undefined Slim" "$(node -e "
+        const entry = require(process.argv[1]).tasks[process.argv[2]];
+        console.log(entry.notes, entry.timeLog, entry.title);
+    " "$TEMP_DIR/.claude/tasks/index.json" "$task_id")" "Index should leave out notes and time logs"
+    assert_contains "$(tm show "$task_id")" "Kept in the task file" "Show should read the full task"
+    assert_contains "$(tm export markdown)" "Kept in the task file" "Exports should read the full task"
+    assert_contains "$(tm report time)" "across 1 task(s)" "Reports should read time logs from the task files"
+}
+it "should keep only listing fields in the index" test_indexes_only_listing_fields
+
+# Branches and commit trailers (user-011)
+
+test_links_branches_and_commits() {
+    local task_id output
+    git -C "$TEMP_DIR" add .claude-task-master.json
+    git -C "$TEMP_DIR" commit -q -m "Initial commit"
+    task_id=$(create_task feature "Add login page")
+
+    assert_contains "$(tm branch "$task_id")" "Created branch feature/$task_id-add-login-page" "Branch should be named after the task"
+    assert_equals "feature/$task_id-add-login-page" "$(git -C "$TEMP_DIR" rev-parse --abbrev-ref HEAD)" "Branch should be checked out"
+    assert_equals "feature/$task_id-add-login-page" "$(task_field "$task_id" 'task.branch')" "Branch should be stored on the task"
+    assert_contains "$(tm branch "$task_id")" "Switched to branch" "Existing branch should be reused"
+
+    printf 'Add login form\n' > "$TEMP_DIR/msg"
+    tm prepare-commit-msg msg > /dev/null
+    assert_contains "$(cat "$TEMP_DIR/msg")" "Task: $task_id" "Trailer should name the branch's task"
+    tm prepare-commit-msg msg > /dev/null
+    assert_equals "1" "$(grep -c "Task: $task_id" "$TEMP_DIR/msg")" "Trailer should be added once"
+
+    printf 'Merge branch x\n' > "$TEMP_DIR/merge-msg"
+    tm prepare-commit-msg merge-msg merge > /dev/null
+    assert_not_contains "$(cat "$TEMP_DIR/merge-msg")" "Task:" "Merge commits should be left alone"
+
+    touch "$TEMP_DIR/login.html"
+    git -C "$TEMP_DIR" add login.html
+    git -C "$TEMP_DIR" commit -q -F msg
+    output=$(tm show "$task_id")
+    assert_contains "$output" "Commits (1):" "Linked commits should be counted"
+    assert_contains "$output" "Add login form (Test User)" "Linked commit should be listed"
+}
+it "should link task branches and commits" test_links_branches_and_commits
+
+# Importing TODOs and checklists (user-012)
+
+test_imports_todos_once() {
+    local output
+    mkdir -p "$TEMP_DIR/src"
+    printf '// TODO: Validate input\nconst a = 1;\n/* FIXME(docs): Explain flags */\n' > "$TEMP_DIR/src/app.js"
+
+    output=$(tm import todos src --dry-run)
+    assert_contains "$output" "2 task(s) would be imported" "Dry run should report the TODOs"
+    assert_equals "" "$(list_titles)" "Dry run should not create tasks"
+
+    output=$(tm import todos src)
+    assert_contains "$output" "Validate input (feature) ← src/app.js:1" "TODO should become a task of the default type"
+    assert_contains "$output" "Explain flags (docs) ← src/app.js:3" "Tagged FIXME should use the tagged type"
+
+    printf '\n// TODO: Validate input\n' > "$TEMP_DIR/src/app.js"
+    output=$(tm import todos src)
+    assert_contains "$output" "0 task(s) imported, 1 already tracked" "Moved TODO should not be imported twice"
+}
+it "should import TODO comments once" test_imports_todos_once
+
+test_imports_checklists() {
+    local output
+    printf '# Plan\n- [ ] Write intro\n- [x] Pick a name\n* [ ] Add examples\n' > "$TEMP_DIR/PLAN.md"
+
+    output=$(tm import checklist PLAN.md --type docs)
+    assert_contains "$output" "2 task(s) imported" "Open checklist items should be imported"
+    assert_equals "Add examples Write intro" "$(list_titles --type docs --sort title)" "Items should use the given type"
+    assert_contains "$(tm import checklist PLAN.md --type docs)" "0 task(s) imported, 2 already tracked" "Reimport should be deduplicated"
+
+    output=$(tm import checklist PLAN.md --type chores 2>&1)
+    assert_exit_code 1 $? "Unknown type should fail"
+    assert_contains "$output" "Unknown task type: chores" "Error should name the type"
+}
+it "should import open markdown checklist items" test_imports_checklists
+
+test_imports_only_comment_todos() {
+    local output
+    mkdir -p "$TEMP_DIR/src"
+    cat > "$TEMP_DIR/src/mixed.js" << 'EOF'
+const label = "TODO: not a comment";
+# TODO: Shell comment
+/*
+ * FIXME: Block comment line
+ */
+x = 1; // TODO(docs): Trailing comment
+<!-- TODO: HTML comment -->
+EOF
+    output=$(tm import todos src)
+    assert_contains "$output" "4 task(s) imported" "Only comments should be imported"
+    assert_not_contains "$output" "not a comment" "TODO in a string should be ignored"
+    assert_contains "$output" "Trailing comment (docs)" "Trailing comments should keep their tag"
+    assert_contains "$output" "HTML comment (feature)" "HTML comments should be imported without the closing marker"
+}
+it "should import only TODOs in comments" test_imports_only_comment_todos
+
+test_skips_task_storage_on_import() {
+    local task_id
+    # Task files quote imported titles; scanning them would import duplicates
+    mkdir -p "$TEMP_DIR/src"
+    echo "// TODO: Cache results" > "$TEMP_DIR/src/cache.js"
+    task_id=$(tm import todos | sed -n 's/^✓ \([^ ]*\) .*/\1/p')
+    tm note "$task_id" "// TODO: From a note" > /dev/null
+
+    assert_contains "$(tm import todos)" "0 task(s) imported, 1 already tracked" "Task storage should not be scanned"
+}
+it "should not import TODOs from task storage" test_skips_task_storage_on_import
+
+# Exports (user-013)
+
+test_exports_formats() {
+    local first second output
+    first=$(create_task feature 'Parse "quoted", values')
+    second=$(create_task docs "Document <tags>" --depends-on "$first")
+
+    output=$(tm export csv)
+    assert_contains "$output" "id,type,title,status,parent,dependsOn" "CSV should start with a header"
+    assert_contains "$output" "$first,feature,\"Parse \"\"quoted\"\", values\",pending" "CSV should quote commas and quotes"
+    assert_contains "$output" "$second,docs,Document <tags>,pending,,$first," "CSV should list dependencies"
+
+    output=$(tm export html)
+    assert_contains "$output" "<!DOCTYPE html>" "HTML export should be a full page"
+    assert_contains "$output" "Document &lt;tags&gt;" "HTML should escape titles"
+    assert_contains "$output" "blocked by $first" "HTML cards should show blockers"
+
+    output=$(tm export mermaid)
+    assert_contains "$output" "flowchart LR" "Mermaid export should be a flowchart"
+    assert_contains "$output" "${first//-/_} --> ${second//-/_}" "Dependencies should become edges"
+    assert_contains "$output" "Document #lt;tags#gt;" "Mermaid labels should be escaped"
+
+    output=$(tm export csv --type docs)
+    assert_not_contains "$output" "Parse" "Type filter should apply to exports"
+
+    output=$(tm export yaml 2>&1)
+    assert_exit_code 1 $? "Unknown format should fail"
+    assert_contains "$output" "Unknown export format: yaml (available: json, markdown, csv, html, mermaid)" "Error should list formats"
+}
+it "should export CSV, HTML and Mermaid with filters" test_exports_formats
+
+# Planning fields (user-014)
+
+test_plans_by_priority_and_due() {
+    local low late overdue output
+    low=$(create_task feature "Polish icons" --priority low --estimate 2)
+    late=$(create_task feature "Ship search" --priority high --due 2999-01-01 --estimate 4h)
+    overdue=$(create_task docs "Write changelog" --priority high --due 2000-01-01)
+
+    assert_equals "points 2" "$(task_field "$low" 'task.estimate.unit + " " + task.estimate.value')" "Bare estimates should be points"
+    assert_equals "medium" "$(task_field "$(create_task feature "Default")" 'task.priority')" "Priority should default to the middle"
+
+    output=$(tm plan)
+    assert_contains "$output" "4 open, 1 overdue · estimated 2pt + 4h" "Plan should total estimates"
+    assert_contains "$output" "$overdue: Write changelog (pending)  ⚠️  OVERDUE" "Past due tasks should be flagged"
+    assert_equals "$overdue $late" "$(echo "$output" | grep -o '[A-Z]*-[0-9A-F]\{8\}' | head -2 | tr '\n' ' ' | sed 's/ $//')" "Earlier due dates should rank first within a priority"
+
+    tm update "$low" --priority critical --due "" > /dev/null
+    assert_equals "critical" "$(task_field "$low" 'task.priority')" "Update should change the priority"
+    assert_equals "$low" "$(tm plan | grep -o '[A-Z]*-[0-9A-F]\{8\}' | head -1)" "Critical tasks should lead the plan"
+
+    output=$(tm update "$low" --priority urgent 2>&1)
+    assert_exit_code 1 $? "Unknown priority should fail"
+    assert_contains "$output" 'Unknown priority "urgent" (use critical, high, medium, low)' "Error should list priorities"
+    output=$(tm update "$low" --estimate soon 2>&1)
+    assert_contains "$output" 'Invalid estimate "soon"' "Bad estimate should fail"
+    output=$(tm update "$low" --due 01/02/2024 2>&1)
+    assert_contains "$output" 'Invalid due date "01/02/2024" (use YYYY-MM-DD)' "Bad due date should fail"
+    output=$(tm update "$low" --due 2024-02-30 2>&1)
+    assert_exit_code 1 $? "Day past the end of the month should fail"
+    assert_contains "$output" 'Invalid due date "2024-02-30" (use YYYY-MM-DD)' "Rolled-over dates should not be accepted"
+    tm update "$low" --due 2024-02-29 > /dev/null
+    assert_equals "2024-02-29" "$(task_field "$low" 'task.due')" "Leap days should be accepted"
+}
+it "should plan open tasks by priority and due date" test_plans_by_priority_and_due
+
+# Time tracking (user-015)
+
+test_tracks_time() {
+    local first second output
+    first=$(create_task feature "Build timer")
+    second=$(create_task docs "Document timer")
+
+    assert_contains "$(tm timer start "$first")" "▶ Timer started on $first" "Timer should start"
+    output=$(tm timer start "$second")
+    assert_contains "$output" "■ Stopped timer on $first" "Starting another timer should stop the first"
+    assert_contains "$(tm timer status)" "▶ $second running for" "Status should show the active timer"
+    assert_contains "$(tm timer stop)" "■ Stopped timer on $second" "Timer should stop"
+    assert_equals "No active timer" "$(tm timer status)" "No timer should remain"
+    assert_contains "$(tm timer stop 2>&1)" "No active timer for Test User" "Stopping twice should fail"
+
+    assert_equals "timer Test User" "$(task_field "$first" 'task.timeLog[0].source + " " + task.timeLog[0].user')" "Timer entries should be logged per user"
+    assert_equals "Build timer Document timer" "$(list_titles --sort title)" "timers.json should not be listed as a task"
+
+    tm run "$first" > /dev/null
+    assert_equals "workflow Finish" "$(task_field "$first" 'task.timeLog[1].source + " " + task.timeLog[1].step')" "Workflow steps should log their time"
+
+    output=$(tm report time --since 1d)
+    assert_contains "$output" "By task type:" "Report should group by type"
+    assert_contains "$output" "across 2 task(s)" "Report should count tracked tasks"
+    assert_contains "$(tm report time --until 2000-01-01)" "No time recorded in this period" "Report should honour the period"
+}
+it "should track time with timers and workflow steps" test_tracks_time
+
+# Config validation (user-016)
+
+test_validates_config() {
+    local output
+    cat > "$TEMP_DIR/.claude-task-master.json" << 'EOF'
+{
+  "taskCategories": { "feature": { "prefix": "feat" } },
+  "workflows": { "feature": { "steps": [{ "name": "Go", "retries": -1 }] } },
+  "automations": { "preCommit": { "enabled": true, "checks": [] } }
+}
+EOF
+    output=$(tm config validate 2>&1)
+    assert_exit_code 1 $? "Invalid config should fail validation"
+    assert_contains "$output" '.claude-task-master.json:2:46  taskCategories.feature.prefix: must match' "Errors should point at the value"
+    assert_contains "$output" '.claude-task-master.json:3:68  workflows.feature.steps[0].retries: must be >= 0' "Step fields should be checked"
+    assert_contains "$output" 'steps[0]: step needs one of "command", "run" or "manual": true' "Cross-field step rules should be checked"
+    assert_contains "$output" "3 errors found" "Errors should be counted"
+
+    output=$(tm list 2>&1)
+    assert_exit_code 1 $? "Other commands should refuse a bad config"
+    assert_contains "$output" "Invalid .claude-task-master.json (3 errors)" "Commands should report the config errors"
+
+    printf '{\n  "taskCategories": {,\n}\n' > "$TEMP_DIR/.claude-task-master.json"
+    assert_contains "$(tm config validate 2>&1)" ':2:22  (root): invalid JSON: unexpected ","' "Malformed JSON should be located"
+}
+it "should validate the config with file positions" test_validates_config
+
+test_initializes_config() {
+    rm "$TEMP_DIR/.claude-task-master.json"
+    assert_contains "$(tm list 2>&1)" "create one with: task-master config init" "Missing config should suggest init"
+
+    assert_contains "$(tm config init)" "✓ Created .claude-task-master.json" "Init should write a config"
+    assert_contains "$(tm config validate)" "✓ .claude-task-master.json is valid" "Default config should be valid"
+    assert_contains "$(tm create bugfix "Crash on start" --fields severity=major)" "Type: bugfix" "Default config should be usable"
+
+    tm config init > /dev/null 2>&1
+    assert_exit_code 1 $? "Init should not overwrite without --force"
+    tm config init --force > /dev/null
+    assert_exit_code 0 $? "Init --force should overwrite"
+}
+it "should scaffold a default config" test_initializes_config
+
+# Quoting interpolated values (user-017)
+
+test_quotes_interpolated_values() {
+    local task_id title
+    title='a'"'"'b "c" $HOME; touch pwned'
+    write_config "$(cat << 'EOF'
+{ "feature": { "steps": [
+    { "name": "Bare", "command": "printf %s ${title} > bare.txt" },
+    { "name": "Double", "command": "printf %s \"T=${title}\" > double.txt" },
+    { "name": "Single", "command": "printf %s 'T=${title}' > single.txt" },
+    { "name": "Substitution", "command": "printf %s \"$(printf %s ${title})\" > subst.txt" },
+    { "name": "Argv", "run": ["node", "-e", "require('fs').writeFileSync('argv.txt', process.argv[1])", "${title}"] }
+] } }
+EOF
+)"
+    task_id=$(create_task feature "$title")
+    tm run "$task_id" > /dev/null
+
+    assert_file_not_exists "$TEMP_DIR/pwned" "Titles should not run as shell code"
+    assert_equals "$title" "$(cat "$TEMP_DIR/bare.txt")" "Bare values should be one quoted word"
+    assert_equals "T=$title" "$(cat "$TEMP_DIR/double.txt")" "Values inside double quotes should stay literal"
+    assert_equals "T=$title" "$(cat "$TEMP_DIR/single.txt")" "Values inside single quotes should stay literal"
+    assert_equals "$title" "$(cat "$TEMP_DIR/subst.txt")" "Values inside command substitutions should stay literal"
+    assert_contains "$(tm run "$task_id" --dry-run)" "TM_title='a'\\''b \"c\" \$HOME; touch pwned'" "Dry run should show values passed through the environment"
+    assert_equals "$title" "$(cat "$TEMP_DIR/argv.txt")" "argv steps should receive the value unchanged"
+}
+it "should shell-quote interpolated values" test_quotes_interpolated_values
+
+test_runs_raw_and_missing_commands() {
+    local task_id
+    write_config '{ "feature": { "steps": [
+        { "name": "Raw", "command": "echo ${title} > raw.txt", "rawInterpolation": true },
+        { "name": "Missing", "run": ["no-such-binary-xyz"] }
+    ] } }'
+    task_id=$(create_task feature "one; touch split")
+    tm run "$task_id" > /dev/null 2>&1
+
+    assert_file_exists "$TEMP_DIR/split" "rawInterpolation should paste values unquoted"
+    assert_equals "127" "$(run_field "$task_id" 0001 'run.steps[1].exitCode')" "Missing argv binaries should exit 127"
+    assert_contains "$(cat "$TEMP_DIR"/.claude/tasks/"$task_id"/runs/0001/02-*.stderr.log)" "no-such-binary-xyz: command not found" "Missing binaries should be logged"
+}
+it "should support raw interpolation and report missing argv commands" test_runs_raw_and_missing_commands
+
+# Locks and the task index (user-018)
+
+# Write a lock file for <target> owned by <pid> on this host
+write_lock() {
+    node -e "
+        require('fs').writeFileSync(process.argv[1] + '.lock',
+            JSON.stringify({ pid: Number(process.argv[2]), host: require('os').hostname(), acquired: new Date().toISOString() }));
+    " "$1" "$2"
+}
+
+test_serializes_concurrent_updates() {
+    local task_id dep_ids=() pids=() i
+    task_id=$(create_task feature "Integrate")
+    for i in 1 2 3 4; do
+        dep_ids+=("$(create_task feature "Part $i")")
+    done
+
+    for i in 0 1 2 3; do
+        tm depend "$task_id" "${dep_ids[$i]}" > /dev/null &
+        pids+=($!)
+    done
+    wait "${pids[@]}"
+
+    assert_equals "4" "$(task_field "$task_id" 'task.dependsOn.length')" "Concurrent updates should not lose writes"
+    assert_file_not_exists "$TEMP_DIR/.claude/tasks/$task_id.json.lock" "Locks should be released"
+}
+it "should serialize concurrent updates to a task" test_serializes_concurrent_updates
+
+test_handles_stale_and_held_locks() {
+    local task_id task_file dead_pid output
+    task_id=$(create_task feature "Locked")
+    task_file="$TEMP_DIR/.claude/tasks/$task_id.json"
+
+    true &
+    dead_pid=$!
+    wait "$dead_pid"
+    write_lock "$task_file" "$dead_pid"
+    tm update "$task_id" --title "Unlocked" > /dev/null
+    assert_equals "Unlocked" "$(task_field "$task_id" 'task.title')" "Locks of dead processes should be broken"
+
+    write_lock "$task_file" $$
+    output=$(tm update "$task_id" --title "Blocked" 2>&1)
+    assert_exit_code 1 $? "A held lock should time out"
+    assert_contains "$output" "Timed out waiting for .claude/tasks/$task_id.json.lock" "Error should name the lock file"
+    assert_equals "Unlocked" "$(task_field "$task_id" 'task.title')" "Task should be unchanged"
+}
+it "should break stale locks and time out on held ones" test_handles_stale_and_held_locks
+
+test_maintains_index() {
+    local task_id output
+    task_id=$(create_task feature "Indexed")
+    assert_file_exists "$TEMP_DIR/.claude/tasks/index.json" "Creating a task should write the index"
+    assert_equals "Indexed" "$(node -e "console.log(require(process.argv[1]).tasks[process.argv[2]].title)" "$TEMP_DIR/.claude/tasks/index.json" "$task_id")" "Index should hold the task"
+
+    # A task file added behind the index's back is picked up
+    node -e "
+        const fs = require('fs');
+        const task = JSON.parse(fs.readFileSync(process.argv[1], 'utf8'));
+        fs.writeFileSync(process.argv[1].replace(task.id, 'FEAT-00000001'), JSON.stringify({ ...task, id: 'FEAT-00000001', title: 'Copied' }));
+    " "$TEMP_DIR/.claude/tasks/$task_id.json"
+    assert_equals "Copied Indexed" "$(list_titles --sort title)" "Index should rebuild when task files change"
+
+    echo "{ broken" > "$TEMP_DIR/.claude/tasks/FEAT-00000002.json"
+    output=$(tm reindex 2>&1)
+    assert_exit_code 1 $? "Reindex should fail on unreadable task files"
+    assert_contains "$output" "✓ Indexed 2 task(s)" "Readable tasks should be indexed"
+    assert_contains "$output" "✗ Skipped FEAT-00000002.json" "Unreadable files should be reported"
+}
+it "should keep a task index and rebuild it" test_maintains_index
+
+# Hook activity journal (user-020)
+
+# Feed a hook payload to `task-master hook`
+send_hook() {
+    echo "$1" | tm hook
+}
+
+test_records_hook_activity() {
+    local task_id output long_command
+    task_id=$(create_task feature "Agent work")
+    tm start "$task_id" > /dev/null
+
+    send_hook "{\"hook_event_name\": \"PostToolUse\", \"tool_name\": \"Edit\", \"session_id\": \"abc12345xyz\", \"cwd\": \"$TEMP_DIR\", \"tool_input\": { \"file_path\": \"$TEMP_DIR/src/app.js\" } }"
+    long_command=$(printf 'x%.0s' {1..300})
+    send_hook "{\"tool_name\": \"Bash\", \"session_id\": \"def67890\", \"tool_input\": { \"command\": \"$long_command\" } }"
+
+    assert_equals "src/app.js" "$(tm activity "$task_id" --json | node -e "console.log(JSON.parse(require('fs').readFileSync(0, 'utf8'))[0].files[0])")" "Paths should be stored relative to the project"
+    assert_equals "200" "$(tm activity "$task_id" --json | node -e "console.log([...JSON.parse(require('fs').readFileSync(0, 'utf8'))[1].command].length)")" "Long commands should be truncated"
+
+    output=$(tm activity "$task_id")
+    assert_contains "$output" "Session abc12345" "Activity should be grouped by session"
+    assert_contains "$output" "Files changed (1):" "Written files should be summarized"
+    assert_not_contains "$(tm activity "$task_id" --session abc)" "Bash" "Session filter should apply"
+}
+it "should journal hook payloads on the active task" test_records_hook_activity
+
+test_hook_never_fails() {
+    local task_id output
+    task_id=$(create_task feature "Idle")
+
+    output=$(send_hook '{"tool_name": "Read", "tool_input": {}}' 2>&1)
+    assert_exit_code 0 $? "Hook without an active task should succeed"
+    assert_equals "No activity recorded for $task_id" "$(tm activity "$task_id")" "Nothing should be recorded without an active task"
+
+    output=$(send_hook 'not json' 2>&1)
+    assert_exit_code 0 $? "Bad payloads should not fail the hook"
+    assert_contains "$output" "task-master hook:" "Bad payloads should be reported on stderr"
+
+    output=$(echo '{"tool_name": "Read", "tool_input": {}}' | (cd "$TEMP_DIR" && TASK_MASTER_TASK="$task_id" node "$TASK_MASTER" hook) 2>&1)
+    assert_equals "1" "$(tm activity "$task_id" --json | node -e "console.log(JSON.parse(require('fs').readFileSync(0, 'utf8')).length)")" "TASK_MASTER_TASK should select the task"
+}
+it "should never fail the agent's tool call" test_hook_never_fails
+
+# Category templates (user-022)
+
+write_template_config() {
+    cat > "$TEMP_DIR/.claude-task-master.json" << 'EOF'
+{
+  "taskCategories": {
+    "bugfix": {
+      "prefix": "BUG",
+      "template": {
+        "fields": { "severity": { "required": true, "enum": ["major", "minor"] }, "area": { "default": "core" } },
+        "checklist": ["Repro steps documented", "Regression test added", { "text": "Release notes updated", "required": false }]
+      }
+    }
+  },
+  "workflows": { "bugfix": { "steps": [{ "name": "Finish", "command": "true" }] } },
+  "automations": { "preCommit": { "enabled": false, "checks": [] } }
+}
+EOF
+}
+
+test_requires_template_fields() {
+    local task_id output
+    write_template_config
+
+    output=$(tm create bugfix "Crash" 2>&1)
+    assert_exit_code 1 $? "Missing required field should fail"
+    assert_contains "$output" 'bugfix tasks require the "severity" field (one of major, minor)' "Error should name the field"
+    assert_contains "$(tm create bugfix "Crash" --fields severity=huge 2>&1)" 'Invalid severity "huge" (use major, minor)' "Values outside the enum should fail"
+    assert_contains "$(tm create bugfix "Crash" --fields owner=me,severity=major 2>&1)" 'Unknown field "owner" for bugfix tasks (fields: severity, area)' "Unknown fields should fail"
+
+    task_id=$(create_task bugfix "Crash" --fields severity=major)
+    assert_equals "major core" "$(task_field "$task_id" 'task.fields.severity + " " + task.fields.area')" "Defaults should fill unset fields"
+    tm update "$task_id" --fields severity=minor > /dev/null
+    assert_equals "minor core" "$(task_field "$task_id" 'task.fields.severity + " " + task.fields.area')" "Updates should merge fields"
+    output=$(tm update "$task_id" --fields severity= 2>&1)
+    assert_exit_code 1 $? "Clearing a required field should fail"
+    assert_contains "$output" 'bugfix tasks require the "severity" field (one of major, minor)' "Error should name the cleared field"
+    assert_equals "minor" "$(task_field "$task_id" 'task.fields.severity')" "Required field should be kept"
+
+    output=$(tm show "$task_id")
+    assert_contains "$output" "Checklist (0/3):" "Show should list the checklist"
+    assert_contains "$output" "☐ 3. Release notes updated (optional)" "Optional items should be marked"
+}
+it "should require and default template fields" test_requires_template_fields
+
+test_completes_only_with_checklist_done() {
+    local task_id forced output
+    write_template_config
+    task_id=$(create_task bugfix "Crash" --fields severity=major)
+    tm start "$task_id" > /dev/null
+
+    output=$(tm done "$task_id" 2>&1)
+    assert_exit_code 1 $? "Open checklist should block completion"
+    assert_contains "$output" "2 required checklist item(s) open (1. Repro steps documented; 2. Regression test added)" "Error should list open items"
+
+    assert_contains "$(tm check "$task_id" 1)" "☑ $task_id #1: Repro steps documented" "Items should be checked by number"
+    assert_contains "$(tm check "$task_id" "test added")" "All required items done" "Items should be checked by text"
+    assert_contains "$(tm check "$task_id" "e" 2>&1)" '"e" matches 3 checklist items' "Ambiguous text should fail"
+    assert_equals "Test User" "$(task_field "$task_id" 'task.checklist[0].checkedBy')" "Checks should record who ticked them"
+
+    tm done "$task_id" > /dev/null
+    assert_equals "completed" "$(task_field "$task_id" 'task.status')" "Task should complete once required items are done"
+
+    forced=$(create_task bugfix "Skip it" --fields severity=minor)
+    tm start "$forced" > /dev/null
+    tm done "$forced" --force > /dev/null
+    assert_equals "completed true" "$(task_field "$forced" 'task.status + " " + task.statusHistory.slice(-1)[0].forced')" "--force should complete and be recorded"
+}
+it "should complete tasks only when the checklist is done" test_completes_only_with_checklist_done
+
+test_workflow_leaves_incomplete_template_open() {
+    local task_id output
+    write_template_config
+    task_id=$(create_task bugfix "Crash" --fields severity=major)
+
+    output=$(tm run "$task_id")
+    assert_contains "$output" "$task_id stays in_progress: 2 required field(s) or checklist item(s) outstanding" "Run should explain why the task stays open"
+    assert_equals "completed" "$(run_field "$task_id" 0001 'run.status')" "Run itself should succeed"
+}
+it "should keep tasks with open checklists open after a run" test_workflow_leaves_incomplete_template_open
+
+# Staged pre-commit checks and hooks (user-023)
+
+# Enable pre-commit with the given checks and a passing TDD Foundation script
+# that records its arguments in guarded.txt
+write_precommit_config() {
+    cat > "$TEMP_DIR/.claude-task-master.json" << EOF
+{
+  "taskCategories": { "feature": { "prefix": "FEAT" } },
+  "automations": { "preCommit": { "enabled": true, "checks": $1 } }
+}
+EOF
+    mkdir -p "$TEMP_DIR/scripts"
+    echo "require('fs').writeFileSync('guarded.txt', process.argv.slice(2).join('|'));" > "$TEMP_DIR/scripts/tdd-guard-enhanced.js"
+}
+
+test_checks_staged_files() {
+    local output
+    write_precommit_config '[
+        { "name": "Lint", "command": "printf \"%s|\" ${stagedFiles} > linted.txt", "files": "\\.js$" },
+        { "name": "Docs", "command": "false", "files": "\\.md$" },
+        { "name": "After lint", "command": "true", "dependsOn": ["Lint"] }
+    ]'
+    touch "$TEMP_DIR/a.js" "$TEMP_DIR/b c.js" "$TEMP_DIR/notes.txt" "$TEMP_DIR/unstaged.js"
+    git -C "$TEMP_DIR" add a.js "b c.js" notes.txt
+
+    output=$(tm precommit --staged)
+    assert_exit_code 0 $? "Passing checks should succeed"
+    assert_contains "$output" "Running 4 pre-commit checks for {{PROJECT_NAME}} on 3 staged file(s)..." "Staged file count should be shown"
+    assert_equals "a.js|b c.js|" "$(cat "$TEMP_DIR/linted.txt")" "Checks should get matching staged files as separate words"
+    assert_contains "$output" "- skipped (no matching staged files)" "Checks with no matching files should be skipped"
+    assert_contains "$output" "✓ All pre-commit checks passed" "Summary should report success"
+
+    git -C "$TEMP_DIR" reset -q
+    assert_contains "$(tm precommit --staged)" "No staged files - nothing to check" "Nothing staged should pass at once"
+}
+it "should run checks on staged files only" test_checks_staged_files
+
+test_scopes_tdd_foundation_to_staged_files() {
+    write_precommit_config '[]'
+    touch "$TEMP_DIR/a.js" "$TEMP_DIR/b c.js"
+    git -C "$TEMP_DIR" add a.js "b c.js"
+
+    tm precommit --staged > /dev/null
+    assert_equals "validate|a.js|b c.js" "$(cat "$TEMP_DIR/guarded.txt")" "TDD Foundation should validate the staged files only"
+    tm precommit > /dev/null
+    assert_equals "validate" "$(cat "$TEMP_DIR/guarded.txt")" "A full run should validate the whole project"
+}
+it "should scope the TDD Foundation check to staged files" test_scopes_tdd_foundation_to_staged_files
+
+test_reports_failing_checks() {
+    local output
+    write_precommit_config '[
+        { "name": "Tests", "command": "echo 2 failing; exit 3" },
+        { "name": "Deploy docs", "command": "touch deployed", "dependsOn": ["Tests"] }
+    ]'
+
+    output=$(tm precommit 2>&1)
+    assert_exit_code 1 $? "Failing check should fail pre-commit"
+    assert_contains "$output" "✗ Tests (exit 3)" "Failure should show the exit code"
+    assert_contains "$output" "2 failing" "Failure output should be shown"
+    assert_contains "$output" "(Tests failed)" "Dependent checks should be skipped"
+    assert_file_not_exists "$TEMP_DIR/deployed" "Dependent check should not run"
+    assert_contains "$output" "✗ 1 of 3 pre-commit checks failed" "Summary should count failures"
+}
+it "should report failing checks and skip their dependents" test_reports_failing_checks
+
+test_runs_dependents_of_checks_without_files() {
+    local output
+    write_precommit_config '[
+        { "name": "Format docs", "command": "true", "files": "\\.md$" },
+        { "name": "Build site", "command": "touch built", "dependsOn": ["Format docs"] }
+    ]'
+    touch "$TEMP_DIR/app.js"
+    git -C "$TEMP_DIR" add app.js
+
+    output=$(tm precommit --staged)
+    assert_exit_code 0 $? "Pre-commit should pass"
+    assert_file_exists "$TEMP_DIR/built" "A dependency skipped for lack of files should not block its dependents"
+}
+it "should run checks whose dependency had no matching files" test_runs_dependents_of_checks_without_files
+
+# Run task master with core.hooksPath set to .githooks, which installs must honour
+hooks_tm() {
+    GIT_CONFIG_COUNT=1 GIT_CONFIG_KEY_0=core.hooksPath GIT_CONFIG_VALUE_0=.githooks tm "$@"
+}
+
+test_installs_hooks() {
+    local output
+    assert_contains "$(hooks_tm hooks install)" "✓ pre-commit hook installed" "Hooks should be installed"
+    assert_contains "$(cat "$TEMP_DIR/.githooks/pre-commit")" "precommit --staged" "pre-commit hook should check staged files"
+    assert_true "[ -x '$TEMP_DIR/.githooks/prepare-commit-msg' ]" "Hooks should be executable"
+    assert_contains "$(hooks_tm hooks install)" "✓ pre-commit hook updated" "Own hooks should be updated"
+
+    echo "#!/bin/sh" > "$TEMP_DIR/.githooks/pre-commit"
+    output=$(hooks_tm hooks install 2>&1)
+    assert_exit_code 1 $? "Foreign hooks should not be replaced"
+    assert_contains "$output" "pre-commit: .githooks/pre-commit exists and was not written by task-master" "Skipped hook should be reported"
+    hooks_tm hooks install --force > /dev/null
+    assert_contains "$(cat "$TEMP_DIR/.githooks/pre-commit")" "Installed by task-master hooks install" "--force should replace foreign hooks"
+}
+it "should install git hooks" test_installs_hooks
+
+# Dry runs and workflow lint (user-024)
+
+test_dry_runs_workflows() {
+    local task_id output
+    write_config '{ "feature": { "steps": [
+        { "name": "Mark", "command": "touch ran-${taskId}" },
+        { "name": "Version", "command": "echo 1.0", "captureAs": "version" },
+        { "name": "Tag", "command": "git tag v${version} ${nope}" },
+        { "name": "Review", "manual": true, "when": "status != '"'"'completed'"'"'" }
+    ] } }'
+    task_id=$(create_task feature "Dry run me")
+
+    output=$(tm run "$task_id" --dry-run 2>&1)
+    assert_exit_code 1 $? "Unresolved variables should fail the dry run"
+    assert_contains "$output" "Dry run for $task_id: Dry run me (4 steps, nothing executed)" "Dry run should say nothing runs"
+    assert_contains "$output" "\$ touch ran-$task_id" "Commands should be shown interpolated"
+    assert_contains "$output" 'captured at run time: ${version}' "Captured values should be deferred to run time"
+    assert_contains "$output" '⚠️  unresolved: ${nope}' "Unknown variables should be flagged"
+    assert_contains "$output" "4. Review  [manual - waits for approval, when: status != 'completed']" "Manual and conditional steps should be annotated"
+    assert_file_not_exists "$TEMP_DIR/ran-$task_id" "Dry run should execute nothing"
+    assert_equals "false" "$(node -e "console.log(require('fs').existsSync(process.argv[1]))" "$TEMP_DIR/.claude/tasks/$task_id/runs")" "Dry run should record no run"
+}
+it "should dry-run a workflow without executing it" test_dry_runs_workflows
+
+test_lints_workflows() {
+    local output
+    write_config '{
+        "feature": { "steps": [
+            { "name": "Use later", "command": "echo ${sha}" },
+            { "name": "Capture", "command": "git rev-parse HEAD", "captureAs": "sha" },
+            { "name": "Blank", "command": " " },
+            { "name": "Typo", "command": "echo ${titel} && no-such-tool-xyz --fast" }
+        ] },
+        "docs": { "steps": [{ "name": "Publish", "run": ["true", "${title}", "${fields.area}"] }] }
+    }'
+
+    output=$(tm workflow lint)
+    assert_exit_code 1 $? "Lint errors should fail"
+    assert_contains "$output" '✗ feature › step 1 (Use later): ${sha} is captured by this or a later step' "Use before capture should be an error"
+    assert_contains "$output" "✗ feature › step 3 (Blank): empty command" "Blank commands should be an error"
+    assert_contains "$output" '✗ feature › step 4 (Typo): unknown variable ${titel}' "Unknown variables should be an error"
+    assert_contains "$output" '⚠️  feature › step 4 (Typo): "no-such-tool-xyz" not found on PATH' "Missing programs should be a warning"
+    assert_contains "$output" 'no "area" field in the docs template' "Unknown template fields should be an error"
+    assert_contains "$output" "4 error(s), 1 warning(s) in 2 workflow(s)" "Problems should be counted"
+
+    write_config '{ "feature": { "steps": [{ "name": "Go", "command": "git status ${taskId} && echo ${fields.area}" }] } }'
+    assert_contains "$(tm workflow lint 2>&1)" "no \"area\" field in the feature template" "Field references should follow the template"
+    write_config '{ "feature": { "steps": [{ "name": "Go", "command": "cd ${taskSlug} && git log -1 > ${projectName}.txt" }] } }'
+    assert_contains "$(tm workflow lint)" "✓ 1 workflow(s), 1 step(s): no problems found" "Clean workflows should pass"
+}
+it "should lint workflows" test_lints_workflows
+
+# Notes journal (user-025)
+
+test_keeps_notes_journal() {
+    local task_id output
+    task_id=$(create_task feature "Noted")
+
+    assert_contains "$(tm note "$task_id" Chose the simple design)" "✓ Note added to $task_id by Test User (1 total)" "Note should be added"
+    printf 'First line\nSecond line\n' | tm note "$task_id" - > /dev/null
+    assert_contains "$(tm note "$task_id" "   " 2>&1)" "Note text must not be empty" "Blank notes should be rejected"
+
+    output=$(tm show "$task_id")
+    assert_contains "$output" "Notes (2):" "Show should list notes"
+    assert_contains "$output" "    Chose the simple design" "Note text should be shown"
+    assert_contains "$output" "    Second line" "Multi-line notes should keep their lines"
+
+    output=$(tm export markdown)
+    assert_contains "$output" "- Notes:" "Markdown export should include notes"
+    assert_contains "$output" "**Test User**: First line
+    Second line" "Continuation lines should stay in the list item"
+}
+it "should keep an append-only notes journal" test_keeps_notes_journal
+
+test_lints_notes_variable() {
+    write_config '{ "feature": { "steps": [{ "name": "Summarize", "command": "echo ${notes} > notes.json" }] } }'
+    assert_contains "$(tm workflow lint)" "no problems found" "\${notes} should be a known variable"
+}
+it "should accept the notes variable in workflow lint" test_lints_notes_variable
+
+# Print test summary
+source "$(dirname "$0")/../helpers/test-summary.sh"
+print_test_summary